@@ -7,13 +7,71 @@
   temperament: "IJ",
   leading: "Ti",
   creative: "Ne",
-  overview: "120–200 chars plain summary",
-  subtypes: [],
-  sources: [{title, url}]
+  // Best-scoring lead paragraph (src/core/lead.js), whole sentences up to 500 chars; falls back
+  // to content.summary. Validation rejects text that only restates the title.
+  overview: "…",
+  // Accentuation (leading/creative element) and DCNH; route as #/type/LII-Ne
+  subtypes: [{ id: "Ne", system: "accent" | "dcnh", name: "Ne subtype", summary: "…" }],
+  // TypeDetail prose: wiki sections mapped over data/type-content.json; every field optional
+  content: {
+    summary: "…",
+    characteristics: { strengths: "…", challenges: "…" },
+    modelA: [{ position: 1, element: "Ti", description: "…" }],
+    interaction: { communication: "…", work: "…", decision: "…" },
+    nuances: "…"
+  },
+  // Provenance per field path (src/core/provenance.js); built-in text names its file and has no url
+  sources: {
+    overview: { page: "LII (INTj)", url: "https://…", revId: 10412 },
+    "content.modelA[4]": { page: "LII (INTj)", url: "https://…#Vulnerable", anchor: "Vulnerable", revId: 10412 },
+    "subtypes[D]": { page: "LII (INTj)", url: "https://…#Dominant", anchor: "Dominant", revId: 10412 },
+    "content.nuances": { page: "Curated notes (data/type-content.json)" }
+  }
 }
 
-// Relation (MVP can start with just Duality)
-{ a: "LII", b: "ESE", name: "Duality", summary: "120–200 chars" }
+// Relation kind (one record per kind; pairs are computed by src/core/relations)
+{
+  name: "Supervision",
+  ordered: true,
+  summary: "120–280 chars",
+  description: "long description",
+  roles: { supervisor: "…", supervisee: "…" }, // ordered kinds only
+  href: "https://wikisocion.github.io/content/Supervision.html",
+  sources: { summary: {…}, description: {…}, "roles.supervisor": {…}, "roles.supervisee": {…} } // as for types
+}
+
+// Meta (bundle manifest). schemaVersion is required from version 2; see src/core/migrations.js
+{
+  schemaVersion: 2,
+  generatedAt: "ISO timestamp",
+  sources: { types: "…", relations: "…", glossary: "…" },
+  // Live bundles only (src/data/loaders.js): per-type fetch result. "stale" keeps the bundled
+  // record, "missing" the code-derived fallback; both carry the fetch error.
+  typeStatus: { LII: { status: "live" }, ESE: { status: "stale", error: "HTTP 502 while fetching ESE (ESFj)" } }
+}
 
 // GlossaryTerm
-{ term: "Ne", shortDef: "…" }
\ No newline at end of file
+{ term: "Ne", shortDef: "…", sources: { shortDef: {…} } }
+
+// Changelog (changelog.json; newest entry first, one per scrape that changed the data)
+{
+  entries: [{
+    generatedAt: "ISO timestamp of this scrape",
+    previousGeneratedAt: "ISO timestamp of the bundle it replaced",
+    source: "mediawiki" | "github",
+    summary: { records: 3, added: 1, removed: 0, changed: 4 },
+    revisions: { LII: { from: 10412, to: 10977 } }, // MediaWiki scrapes only
+    changes: [{ file: "types.json", record: "LII", field: "content.modelA[4].description", change: "changed", before: "…", after: "…" }]
+  }]
+}
+
+
+// Corpus (corpus/index.json, written by `node scripts/data.mjs crawl`)
+{
+  generatedAt: "ISO timestamp",
+  categories: { types: "Socionics types", relations: "Intertype relations", elements: "…", theory: "…" },
+  articles: [{ title: "Model A", displayTitle: "Model A", slug: "model-a-7776671a", revId: 10412, categories: ["theory"], url: "https://…", summary: "first lead paragraph", linkCount: 42 }]
+}
+
+// Corpus article (corpus/<slug>.json): sanitised HTML; internal links carry data-title="<target title>"
+{ title: "Model A", displayTitle: "Model A", slug: "model-a-7776671a", revId: 10412, url: "https://…", html: "<div>…</div>", links: ["Duality", "…"] }
@@ -0,0 +1,355 @@
+// Data CLI: one entry point for every step of the data pipeline.
+//
+//   node scripts/data.mjs scrape [--source=auto|mediawiki|github] [--record|--replay] [--fixtures=<dir>] [--force]
+//   node scripts/data.mjs scrape --source=dump --dump=<export.xml>   offline, from a MediaWiki XML export
+//   node scripts/data.mjs scrape --source=dir:<path>                  offline, from a mirror of the static archive
+//   node scripts/data.mjs crawl [--categories=types,relations,elements,theory] [--limit=<n>]  article corpus
+//   node scripts/data.mjs validate            schema + consistency checks on public/data
+//   node scripts/data.mjs diff [--ref=HEAD]   changes in public/data against the committed bundle
+//   node scripts/data.mjs index               rebuild search.json from types.json and glossary.json
+//   node scripts/data.mjs stats               counts and coverage of the current bundle
+//   node scripts/data.mjs regress [--update]  replay scripts/fixtures/replay and diff against its expected bundle
+//
+// validate, diff and stats take --json for machine-readable output.
+// crawl accepts the same fetch flags as scrape.
+// Exit codes: 0 success (diff, regress: no changes), 1 failure (scrape, crawl or validation
+// failed, diff or regress found changes), 2 usage error or unreadable input.
+import fs from "node:fs/promises";
+import * as path from "node:path";
+import * as url from "node:url";
+import os from "node:os";
+import { execFileSync, spawnSync } from "node:child_process";
+import { validateDataset, formatIssue } from "../src/core/validate.js";
+import { SCHEMAS, checkRecord, sanitizeDataset } from "../src/core/schema.js";
+import { SCHEMA_VERSION, bundleVersion, migrateBundle } from "../src/core/migrations.js";
+import { changelogEntry } from "../src/core/changelog.js";
+import { buildSearchEntries } from "../src/core/search.js";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, "..");
+const DATA_DIR = path.join(ROOT, "public", "data");
+const BUNDLE_FILES = ["types", "relations", "glossary", "search", "meta"];
+const SOURCES = ["auto", "mediawiki", "github", "dump"];
+// Parser regression set: recorded API responses plus the bundle they must produce
+const REGRESS_DIR = path.join(__dirname, "fixtures", "replay");
+const REGRESS_FILES = ["types", "relations", "glossary", "search", "meta", "changelog"];
+// Known parser pitfalls in the fixtures, checked on every replay even after --update
+const REGRESS_CHECKS = [
+  {
+    name: 'LII keeps no scraped DCNH subtypes ("Creative function: Ne" is a Model A heading)',
+    test: ({ types }) => types.find((t) => t.code === "LII").subtypes.every((s) => s.system !== "dcnh" || !s.scraped),
+  },
+];
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function option(args, name) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+// Bundle as the app sees it: search.json is stored as { entries }
+function bundleFrom(files) {
+  const { types, relations, glossary, search, meta } = files;
+  return { types, relations, glossary, search: search ? search.entries : null, meta };
+}
+
+// `name` is relative to public/data without the extension, e.g. "types" or "corpus/index"
+async function readDataFile(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new UsageError(`Unreadable ${path.relative(ROOT, file)}: ${e.message}`);
+  }
+}
+
+async function readWorkingBundle() {
+  const values = await Promise.all(BUNDLE_FILES.map(readDataFile));
+  if (!values[0]) throw new UsageError(`No bundle in ${path.relative(ROOT, DATA_DIR)}; run the scrape step first.`);
+  return bundleFrom(Object.fromEntries(BUNDLE_FILES.map((name, i) => [name, values[i]])));
+}
+
+// The bundle as committed at `ref`; files missing at that revision read as null
+function readCommittedBundle(ref) {
+  const files = {};
+  for (const name of BUNDLE_FILES) {
+    try {
+      const text = execFileSync("git", ["show", `${ref}:public/data/${name}.json`], {
+        cwd: ROOT,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+        maxBuffer: 64 * 1024 * 1024,
+      });
+      files[name] = JSON.parse(text);
+    } catch {
+      files[name] = null;
+    }
+  }
+  if (!files.types) throw new UsageError(`No committed bundle at ${ref} (is this a git checkout?)`);
+  return bundleFrom(files);
+}
+
+async function runScrape(args) {
+  let source = option(args, "source") || process.env.WIKISOCION_SOURCE || "auto";
+  if (source.startsWith("dir:")) {
+    if (source === "dir:") throw new UsageError("--source=dir: needs a path, e.g. --source=dir:mirror/content.");
+    source = `dir:${path.resolve(source.slice(4))}`;
+  } else if (!SOURCES.includes(source)) {
+    throw new UsageError(`Unknown source "${source}"; expected one of ${SOURCES.join(", ")} or dir:<path>.`);
+  }
+  const dump = option(args, "dump") || process.env.WIKISOCION_DUMP;
+  if (source === "dump" && !dump) throw new UsageError("--source=dump needs --dump=<file> (or WIKISOCION_DUMP), a MediaWiki XML export.");
+  // Loaded on demand: the scraper reads its fetch flags and the content seed at import time
+  const { scrapeAll } = await import("./scrape.mjs");
+  try {
+    await scrapeAll({ source, dump: dump && path.resolve(dump) });
+  } catch (e) {
+    console.error(e.message || e);
+    return EXIT_FAILED;
+  }
+  return EXIT_OK;
+}
+
+async function runCrawl(args) {
+  // Loaded on demand, as for scrape
+  const { crawlCorpus, CORPUS_CATEGORIES } = await import("./scrape.mjs");
+  const groups = option(args, "categories") ? option(args, "categories").split(",").filter(Boolean) : Object.keys(CORPUS_CATEGORIES);
+  const unknown = groups.filter((g) => !(g in CORPUS_CATEGORIES));
+  if (unknown.length) throw new UsageError(`Unknown categories: ${unknown.join(", ")}; expected ${Object.keys(CORPUS_CATEGORIES).join(", ")}.`);
+  const limitArg = option(args, "limit");
+  const limit = limitArg === undefined ? Infinity : Number(limitArg);
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit > 0)) throw new UsageError(`--limit must be a positive whole number, got "${limitArg}".`);
+  try {
+    await crawlCorpus({ groups, limit });
+  } catch (e) {
+    console.error(e.message || e);
+    return EXIT_FAILED;
+  }
+  return EXIT_OK;
+}
+
+// Schema issues in corpus/index.json, if a corpus has been crawled
+async function corpusIssues() {
+  const index = await readDataFile("corpus/index");
+  if (!index) return [];
+  const file = "corpus/index.json";
+  if (!Array.isArray(index.articles)) return [{ file, record: null, field: "articles", message: "expected an array" }];
+  return index.articles.flatMap((a, i) => checkRecord(file, (a && a.title) || `#${i}`, a, SCHEMAS.article));
+}
+
+// Same checks the scraper runs before writing: the bundle must already be at SCHEMA_VERSION
+async function runValidate(args) {
+  const bundle = await readWorkingBundle();
+  const version = bundleVersion(bundle.meta);
+  const issues = [
+    ...(version !== SCHEMA_VERSION
+      ? [{ file: "meta.json", record: null, field: "schemaVersion", message: `bundle is version ${version}; expected ${SCHEMA_VERSION}` }]
+      : []),
+    ...sanitizeDataset(bundle).issues,
+    ...validateDataset(bundle),
+    ...(await corpusIssues()),
+  ];
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ ok: issues.length === 0, issues }, null, 2));
+  } else if (issues.length) {
+    for (const i of issues) console.error(`  ${formatIssue(i)}`);
+    console.error(`Validation failed with ${issues.length} issue(s).`);
+  } else {
+    console.log(`Validation passed (${bundle.types.length} types, ${bundle.relations.length} relations, ${bundle.glossary.length} glossary terms).`);
+  }
+  return issues.length ? EXIT_FAILED : EXIT_OK;
+}
+
+async function runDiff(args) {
+  const ref = option(args, "ref") || "HEAD";
+  const previous = migrateBundle(readCommittedBundle(ref)).bundle;
+  const current = migrateBundle(await readWorkingBundle()).bundle;
+  const entry = changelogEntry(previous, current);
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(entry || { changes: [] }, null, 2));
+  } else if (!entry) {
+    console.log(`No data changes against ${ref}.`);
+  } else {
+    for (const c of entry.changes) {
+      const where = `${c.file} ${c.record}${c.field ? ` ${c.field}` : ""}`;
+      const detail = c.change === "changed" ? `: ${JSON.stringify(c.before)} -> ${JSON.stringify(c.after)}` : "";
+      console.log(`${{ added: "+", removed: "-", changed: "~" }[c.change]} ${where}${detail}`);
+    }
+    for (const [code, rev] of Object.entries(entry.revisions)) {
+      console.log(`r ${code} revision ${rev.from ?? "none"} -> ${rev.to}`);
+    }
+    const { records, added, removed, changed } = entry.summary;
+    console.log(`${records} record(s) differ from ${ref} (${added} added, ${removed} removed, ${changed} changed).`);
+  }
+  return entry ? EXIT_FAILED : EXIT_OK;
+}
+
+// "types.json LII.subtypes[2].summary"-style paths where `before` and `after` differ
+function jsonChanges(before, after, at, out = []) {
+  if (before && after && typeof before === "object" && typeof after === "object" && Array.isArray(before) === Array.isArray(after)) {
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      // Records are named by their key instead of their index
+      const item = Array.isArray(before) ? before[k] || after[k] : null;
+      const name = item && (item.code || item.name || item.term);
+      jsonChanges(before[k], after[k], Array.isArray(before) ? (name ? `${at} ${name}` : `${at}[${k}]`) : `${at}.${k}`, out);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    out.push({ at, before, after });
+  }
+  return out;
+}
+
+// Replays the recorded fixtures into a scratch directory and compares every bundle file with
+// the expected copy. --update accepts the new output after an intended parser change.
+async function runRegress(args) {
+  const responses = path.join(REGRESS_DIR, "responses");
+  const expectedDir = path.join(REGRESS_DIR, "expected");
+  let recording;
+  try {
+    recording = JSON.parse(await fs.readFile(path.join(responses, "recording.json"), "utf8"));
+  } catch (e) {
+    throw new UsageError(`No recorded fixtures in ${path.relative(ROOT, responses)} (${e.message}).`);
+  }
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "wikisocion-regress-"));
+  try {
+    const run = spawnSync(
+      process.execPath,
+      [path.join(__dirname, "data.mjs"), "scrape", "--replay", `--fixtures=${responses}`, `--source=${recording.source}`],
+      { encoding: "utf8", env: { ...process.env, WIKISOCION_API: recording.api, WIKISOCION_OUT_DIR: outDir } }
+    );
+    if (run.status !== 0) {
+      process.stderr.write(run.stdout + run.stderr);
+      console.error("Replay failed.");
+      return EXIT_FAILED;
+    }
+    const types = JSON.parse(await fs.readFile(path.join(outDir, "types.json"), "utf8"));
+    const failed = REGRESS_CHECKS.filter((c) => !c.test({ types }));
+    for (const c of failed) console.error(`Check failed: ${c.name}`);
+    if (failed.length) return EXIT_FAILED;
+    if (args.includes("--update")) {
+      await fs.mkdir(expectedDir, { recursive: true });
+      for (const name of REGRESS_FILES) await fs.copyFile(path.join(outDir, `${name}.json`), path.join(expectedDir, `${name}.json`));
+      console.log(`Updated ${path.relative(ROOT, expectedDir)} from the replay.`);
+      return EXIT_OK;
+    }
+    let changes = [];
+    for (const name of REGRESS_FILES) {
+      const read = (dir) => fs.readFile(path.join(dir, `${name}.json`), "utf8").then(JSON.parse, () => null);
+      changes = changes.concat(jsonChanges(await read(expectedDir), await read(outDir), `${name}.json`));
+    }
+    const show = (v) => {
+      const text = JSON.stringify(v) ?? "none";
+      return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+    };
+    for (const c of changes) console.log(`~ ${c.at}: ${show(c.before)} -> ${show(c.after)}`);
+    console.log(changes.length ? `${changes.length} difference(s) from the expected bundle.` : "Replay matches the expected bundle.");
+    return changes.length ? EXIT_FAILED : EXIT_OK;
+  } finally {
+    await fs.rm(outDir, { recursive: true, force: true });
+  }
+}
+
+async function runIndex() {
+  const types = await readDataFile("types");
+  const glossary = await readDataFile("glossary");
+  if (!Array.isArray(types) || !Array.isArray(glossary)) {
+    throw new UsageError("types.json and glossary.json must both exist and hold arrays.");
+  }
+  const entries = buildSearchEntries(types, glossary);
+  await fs.writeFile(path.join(DATA_DIR, "search.json"), JSON.stringify({ entries }, null, 2));
+  console.log(`Wrote ${path.relative(ROOT, DATA_DIR)}/search.json (${entries.length} entries).`);
+  return EXIT_OK;
+}
+
+async function runStats(args) {
+  const bundle = await readWorkingBundle();
+  const changelog = await readDataFile("changelog");
+  const corpus = await readDataFile("corpus/index");
+  const types = Array.isArray(bundle.types) ? bundle.types : [];
+  const withContent = types.filter((t) => t.content && Object.keys(t.content).length > 0);
+  const stats = {
+    schemaVersion: bundleVersion(bundle.meta),
+    generatedAt: (bundle.meta && bundle.meta.generatedAt) || null,
+    types: types.length,
+    typesWithContent: withContent.length,
+    typesWithRevision: types.filter((t) => Number.isInteger(t.revId)).length,
+    subtypes: types.reduce((n, t) => n + (Array.isArray(t.subtypes) ? t.subtypes.length : 0), 0),
+    scrapedSubtypes: types.reduce((n, t) => n + (Array.isArray(t.subtypes) ? t.subtypes.filter((s) => s.scraped).length : 0), 0),
+    relations: Array.isArray(bundle.relations) ? bundle.relations.length : 0,
+    glossary: Array.isArray(bundle.glossary) ? bundle.glossary.length : 0,
+    searchEntries: Array.isArray(bundle.search) ? bundle.search.length : 0,
+    changelogEntries: changelog && Array.isArray(changelog.entries) ? changelog.entries.length : 0,
+    corpusArticles: corpus && Array.isArray(corpus.articles) ? corpus.articles.length : 0,
+  };
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(stats, null, 2));
+  } else {
+    const width = Math.max(...Object.keys(stats).map((k) => k.length));
+    for (const [k, v] of Object.entries(stats)) console.log(`${k.padEnd(width)}  ${v ?? "-"}`);
+  }
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  scrape: runScrape,
+  crawl: runCrawl,
+  validate: runValidate,
+  diff: runDiff,
+  index: runIndex,
+  stats: runStats,
+  regress: runRegress,
+};
+
+function usage() {
+  return [
+    "Usage: node scripts/data.mjs <command> [options]",
+    "",
+    "Commands:",
+    "  scrape    scrape the wiki into public/data (--source=auto|mediawiki|github|dump|dir:<path>, --dump=<file>, --record, --replay, --fixtures=<dir>, --force)",
+    "  crawl     store every article of the wiki categories in public/data/corpus (--categories=<groups>, --limit=<n>)",
+    "  validate  check public/data against the schema and the code-derived attributes",
+    "  diff      list changes in public/data against a git revision (--ref=HEAD)",
+    "  index     rebuild search.json from types.json and glossary.json",
+    "  stats     print counts and coverage of the current bundle",
+    "  regress   replay the recorded fixtures in scripts/fixtures/replay and diff against the expected bundle (--update)",
+    "",
+    "validate, diff and stats accept --json. Exit codes: 0 ok, 1 failed or changes found, 2 usage error.",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (command === "help" || command === "--help" || command === "-h") {
+    console.log(usage());
+    return EXIT_OK;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    if (command) console.error(`Unknown command "${command}".\n`);
+    console.error(usage());
+    return EXIT_USAGE;
+  }
+  try {
+    return await run(args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(e.message);
+    return EXIT_USAGE;
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    console.error(e);
+    process.exitCode = EXIT_FAILED;
+  }
+);
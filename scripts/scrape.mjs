@@ -1,20 +1,28 @@
+// Scrape step of the data CLI (scripts/data.mjs scrape). Fetch flags (--record, --replay,
+// --fixtures, --force) are read from the command line when this module loads.
 import fs from "node:fs/promises";
 import * as path from "node:path";
 import * as url from "node:url";
+import { createHash } from "node:crypto";
 import { load as cheerioLoad } from "cheerio";
 import { setTimeout as delay } from "node:timers/promises";
+import { TYPE_CODES, deriveType } from "../src/core/socionics.js";
+import { validateDataset, formatIssue } from "../src/core/validate.js";
+import { sanitizeDataset } from "../src/core/schema.js";
+import { SCHEMA_VERSION, bundleVersion, migrateBundle } from "../src/core/migrations.js";
+import { mergeSubtypeSections } from "../src/core/subtypes.js";
+import { RELATION_KINDS } from "../src/core/relations.js";
+import { contentFromSections, mergeContent } from "../src/core/content.js";
+import { changelogEntry, appendChangelog } from "../src/core/changelog.js";
+import { buildSearchEntries } from "../src/core/search.js";
+import { pageSource, typeSources, BUILT_IN_RELATIONS, BUILT_IN_GLOSSARY } from "../src/core/provenance.js";
+import { LEAD_NOISE, pickLead, truncateAtSentence, truncateParagraphs } from "../src/core/lead.js";
+import { normalizeTitle } from "../src/core/wiki.js";
+import { renderWikitext } from "./wikitext.mjs";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const OUT_DIR = path.join(__dirname, "..", "public", "data");
-await fs.mkdir(OUT_DIR, { recursive: true });
-
-// 16 type codes in Wikisocion
-const TYPE_CODES = [
-  "ILE","SEI","LII","ESE",
-  "SLE","IEI","LSI","EIE",
-  "SEE","ILI","ESI","LIE",
-  "LSE","EII","SLI","IEE",
-];
+// WIKISOCION_OUT_DIR redirects the bundle, e.g. for `data.mjs regress`
+const OUT_DIR = process.env.WIKISOCION_OUT_DIR ? path.resolve(process.env.WIKISOCION_OUT_DIR) : path.join(__dirname, "..", "public", "data");
 
 // Map type codes to canonical page titles on MediaWiki (stable over time)
 // Source: common naming on wikisocion.net; adjust if the wiki changes titles
@@ -37,28 +45,181 @@ const TYPE_PAGES = {
   IEE: "IEE (ENFp)",
 };
 
-// Type information (hardcoded for accuracy since parsing is unreliable)
-const TYPE_INFO = {
-  "ILE": { fullName: "Intuitive Logical Extravert", alias: "ENTp", quadra: "Alpha", temperament: "EP", leading: "Ne", creative: "Ti" },
-  "SEI": { fullName: "Sensing Ethical Introvert", alias: "ISFp", quadra: "Alpha", temperament: "IJ", leading: "Si", creative: "Fe" },
-  "LII": { fullName: "Logical Intuitive Introvert", alias: "INTj", quadra: "Alpha", temperament: "IJ", leading: "Ti", creative: "Ne" },
-  "ESE": { fullName: "Ethical Sensing Extravert", alias: "ESFj", quadra: "Alpha", temperament: "EJ", leading: "Fe", creative: "Si" },
-  "SLE": { fullName: "Sensing Logical Extravert", alias: "ESTp", quadra: "Beta", temperament: "EP", leading: "Se", creative: "Ti" },
-  "IEI": { fullName: "Intuitive Ethical Introvert", alias: "INFp", quadra: "Beta", temperament: "IP", leading: "Ni", creative: "Fe" },
-  "LSI": { fullName: "Logical Sensing Introvert", alias: "ISTj", quadra: "Beta", temperament: "IJ", leading: "Ti", creative: "Se" },
-  "EIE": { fullName: "Ethical Intuitive Extravert", alias: "ENFj", quadra: "Beta", temperament: "EJ", leading: "Fe", creative: "Ni" },
-  "SEE": { fullName: "Sensing Ethical Extravert", alias: "ESFp", quadra: "Gamma", temperament: "EP", leading: "Se", creative: "Fi" },
-  "ILI": { fullName: "Intuitive Logical Introvert", alias: "INTp", quadra: "Gamma", temperament: "IP", leading: "Ni", creative: "Te" },
-  "ESI": { fullName: "Ethical Sensing Introvert", alias: "ISFj", quadra: "Gamma", temperament: "IJ", leading: "Fi", creative: "Se" },
-  "LIE": { fullName: "Logical Intuitive Extravert", alias: "ENTj", quadra: "Gamma", temperament: "EJ", leading: "Te", creative: "Ni" },
-  "LSE": { fullName: "Logical Sensing Extravert", alias: "ESTj", quadra: "Delta", temperament: "EJ", leading: "Te", creative: "Si" },
-  "EII": { fullName: "Ethical Intuitive Introvert", alias: "INFj", quadra: "Delta", temperament: "IJ", leading: "Fi", creative: "Ne" },
-  "SLI": { fullName: "Sensing Logical Introvert", alias: "ISTp", quadra: "Delta", temperament: "IP", leading: "Si", creative: "Te" },
-  "IEE": { fullName: "Intuitive Ethical Extravert", alias: "ENFp", quadra: "Delta", temperament: "EP", leading: "Ne", creative: "Fi" },
+// Intertype relation pages, one per relation kind (same naming caveat as above)
+const RELATION_PAGES = {
+  Identity: "Identity",
+  Duality: "Duality",
+  Activation: "Activation",
+  Mirror: "Mirror",
+  "Semi-duality": "Semi-duality",
+  Mirage: "Mirage",
+  Business: "Business",
+  Kindred: "Kindred",
+  "Quasi-identity": "Quasi-identity",
+  Extinguishment: "Extinguishment",
+  "Super-ego": "Super-ego",
+  Conflict: "Conflict",
+  Supervision: "Supervision",
+  Benefit: "Benefit",
+};
+
+// Fallback relation text, used field by field when a page is missing or has no usable section
+const RELATION_DEFAULTS = {
+  Identity: {
+    summary: "Same type: full mutual understanding, but little to add to one another.",
+    description: "Partners share the same Model A, so they understand each other's reasoning almost immediately and can easily explain one another to others. Because their strengths and weak spots coincide, neither can help where the other struggles, and they tend to compete for the same role. Works best at a moderate distance, as colleagues or advisers rather than constant companions.",
+  },
+  Duality: {
+    summary: "Complete complementarity: each supplies what the other values but lacks.",
+    description: "The leading and creative functions of each partner fall on the other's suggestive and mobilizing functions. Each naturally provides what the other needs, and weaknesses are covered without being exposed. The relation is the most comfortable and psychologically supportive; it reaches its full value over time and in close, everyday contact, and risks over-reliance on the partner's strengths.",
+  },
+  Activation: {
+    summary: "Lively, energising relation between same-quadra partners of opposite rationality.",
+    description: "Each partner's ego functions fall on the other's mobilizing and suggestive functions in reverse order, so help arrives readily but slightly out of step. Interaction is stimulating and upbeat at first, yet differing rhythms (one rational, one irrational) make long close contact tiring. Periodic breaks keep the relation warm.",
+  },
+  Mirror: {
+    summary: "Shared values and interests with a difference of emphasis that invites mutual correction.",
+    description: "Partners have the same two ego elements in swapped positions: one's leading function is the other's creative. They see the same problems from slightly different angles, which makes for engaging discussion and gentle correction of each other's views. Disagreements usually concern emphasis rather than substance, though one may find the other's approach slightly off.",
+  },
+  "Semi-duality": {
+    summary: "Partial complementarity: strong initial attraction with help that only half lands.",
+    description: "The leading function of each partner falls on the other's suggestive function, but the creative functions do not mesh. Each is drawn to the other and feels understood at first, yet assistance often comes in a form that is not quite useful. The relation can be warm but unstable, with periods of closeness followed by misunderstanding.",
+  },
+  Mirage: {
+    summary: "Relaxed, pleasant company that is better for leisure than for joint work.",
+    description: "Partners from adjacent quadras share a similar outlook on some matters and find each other easy to be around. Each partly supports the other's weak areas, so the relation is comfortable and undemanding. When it comes to serious shared tasks, however, their approaches diverge and cooperation is less productive than it first appears.",
+  },
+  Business: {
+    summary: "Similar methods and goals make for efficient cooperation at a working distance.",
+    description: "Partners share the same creative function but lead with different elements, so they solve problems by similar means while pursuing slightly different aims. Work together goes smoothly and each can see how the other operates. Emotional closeness comes less easily; the relation is most comfortable when it has a practical purpose.",
+  },
+  Kindred: {
+    summary: "Same leading function, different creative: similar aims reached by different means.",
+    description: "Partners lead with the same element and so agree on what matters, but they reach their goals with different creative tools. They recognise each other quickly and often find the relation interesting, yet small disagreements over method can grow into persistent friction when neither yields.",
+  },
+  "Quasi-identity": {
+    summary: "Same aspects, opposite rationality and vertness: apparent similarity that hides a deep difference in how information is processed.",
+    description: "Each partner's leading aspect is the other's creative one with opposite vertness, so they work with the same aspects of reality in reverse order and describe similar things while meaning something different. Each may think the other understands, only to find the conclusions are incompatible. Conversation is interesting but often inconclusive; the relation works best with a shared external task.",
+  },
+  Extinguishment: {
+    summary: "Same aspects in the same order, opposite vertness: mutual interest that tends to cancel out.",
+    description: "Partners lead with the same aspect and back it with the same creative aspect, but with opposite vertness, so they readily see each other's points yet constantly present the reverse side of them. Initial curiosity gives way to a feeling that the other's efforts neutralise one's own. Discussions easily turn into extended debate, and cooperation requires deliberate division of roles.",
+  },
+  "Super-ego": {
+    summary: "Mutual respect from a distance, with tension and misunderstanding up close.",
+    description: "Each partner's strong ego functions fall on the other's role and vulnerable functions. Each sees the other as capable, even admirable, in areas where they feel insecure, but close contact exposes those weak spots and breeds mutual criticism. The relation stays polite and formal; it is most comfortable when interaction is limited.",
+  },
+  Conflict: {
+    summary: "The most demanding relation: each partner presses on the other's weakest point.",
+    description: "The leading function of each partner falls on the other's vulnerable function, and their valued elements are opposite. Even well-meant actions feel like pressure, and each perceives the other's intentions as hostile or incomprehensible. At a distance the relation can be civil and even interesting, but in close contact it is draining for both.",
+  },
+  Supervision: {
+    summary: "Asymmetric relation: the supervisor's strength falls on the supervisee's vulnerable spot.",
+    description: "The supervisor's leading function lands on the supervisee's vulnerable function, while the supervisee's strengths fall on the supervisor's creative and role functions. The supervisor tends to notice and comment on the supervisee's shortcomings, often without realising it; the supervisee feels watched and struggles to earn approval. Supervision forms rings of four types.",
+    roles: {
+      supervisor: "Readily sees the supervisee's weak points and may criticise without meaning to; finds the supervisee's efforts unimpressive.",
+      supervisee: "Feels assessed and controlled; is drawn to seek the supervisor's approval yet rarely feels they have earned it.",
+    },
+  },
+  Benefit: {
+    summary: "Asymmetric relation: the benefactor gives what the beneficiary values, with little in return.",
+    description: "The benefactor's creative function falls on the beneficiary's suggestive function, so the beneficiary is interested in what the benefactor says and does, while the benefactor gets little of what they need back. Contact is friendly and the beneficiary often looks up to the benefactor. Benefit forms rings of four types.",
+    roles: {
+      benefactor: "Is listened to and admired but senses the beneficiary does not quite grasp their ideas or return their help.",
+      beneficiary: "Finds the benefactor engaging and valuable, though feels somewhat overlooked and unable to attract their full interest.",
+    },
+  },
 };
 
-// Helper: fetch with timeout + retries
+// Curated type prose; scraped sections override it field by field (src/core/content.js)
+const TYPE_CONTENT_SEED = JSON.parse(await fs.readFile(path.join(__dirname, "..", "data", "type-content.json"), "utf8"));
+
+// Structured content for a type page (lead paragraphs and mapped sections over the seed),
+// plus where each field came from. `page` is { page, url, revId? }.
+function extractTypeContent($, code, page) {
+  const lead = extractLeadParagraphs($, 2);
+  const sections = extractSections($);
+  const seed = TYPE_CONTENT_SEED[code];
+  return {
+    content: mergeContent(seed, contentFromSections(code, lead, sections)),
+    sources: typeSources(code, page, { lead, sections, seed }),
+  };
+}
+
+// Type information derived from the code (shared with the app via src/core)
+const TYPE_INFO = Object.fromEntries(TYPE_CODES.map((code) => [code, deriveType(code)]));
+
+// ---- Fixtures: --record saves every response, --replay serves them back offline ----
+// Directory defaults to scripts/fixtures; override with --fixtures=<dir> or WIKISOCION_FIXTURES.
+// Error responses are recorded too, so fallback paths replay. recording.json keeps the run's
+// timestamp, source and API endpoint; a replay reuses the timestamp as generatedAt, so the
+// same fixtures always produce the same bundle (see `data.mjs regress`).
+const RECORD = process.argv.includes("--record");
+const REPLAY = process.argv.includes("--replay");
+if (RECORD && REPLAY) {
+  console.error("Use either --record or --replay, not both.");
+  process.exit(2);
+}
+const fixturesArg = process.argv.find(a => a.startsWith("--fixtures="));
+const FIXTURES_DIR = path.resolve(
+  fixturesArg ? fixturesArg.split("=")[1] : (process.env.WIKISOCION_FIXTURES || path.join(__dirname, "fixtures"))
+);
+
+// One JSON file per URL: readable slug plus a hash so long API queries stay unique
+function fixturePath(url) {
+  const slug = url.replace(/^https?:\/\//, "").replace(/[^a-z0-9]+/gi, "_").slice(0, 80);
+  const hash = createHash("sha1").update(url).digest("hex").slice(0, 12);
+  return path.join(FIXTURES_DIR, `${slug}-${hash}.json`);
+}
+
+async function replayFixture(url) {
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixturePath(url), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") throw new Error(`No fixture for ${url} in ${FIXTURES_DIR} (record it with --record)`);
+    throw new Error(`Unreadable fixture for ${url}: ${e.message}`);
+  }
+  return new Response(fixture.body, { status: fixture.status, headers: { "content-type": fixture.contentType || "text/plain" } });
+}
+
+const RECORDING_FILE = path.join(FIXTURES_DIR, "recording.json");
+
+// generatedAt for this run: the recorded one when replaying, otherwise now (stored with
+// `details` when recording)
+async function runTimestamp(details = {}) {
+  if (REPLAY) {
+    try {
+      const { recordedAt } = JSON.parse(await fs.readFile(RECORDING_FILE, "utf8"));
+      if (recordedAt) return recordedAt;
+    } catch {
+      // Fixture sets recorded before recording.json existed
+    }
+    console.warn(`No recordedAt in ${RECORDING_FILE}; using the current time.`);
+  }
+  const now = new Date().toISOString();
+  if (RECORD) {
+    await fs.mkdir(FIXTURES_DIR, { recursive: true });
+    await fs.writeFile(RECORDING_FILE, JSON.stringify({ recordedAt: now, ...details }, null, 2));
+  }
+  return now;
+}
+
+async function recordFixture(url, res) {
+  const body = await res.text();
+  const contentType = res.headers.get("content-type");
+  await fs.mkdir(FIXTURES_DIR, { recursive: true });
+  await fs.writeFile(fixturePath(url), JSON.stringify({ url, status: res.status, contentType, body }, null, 2));
+  return new Response(body, { status: res.status, headers: { "content-type": contentType || "text/plain" } });
+}
+
+// Helper: fetch with timeout + retries (or from fixtures, see above)
 async function fetchWithRetry(url, { timeoutMs = 8000, retries = 2 } = {}) {
+  if (REPLAY) {
+    const res = await replayFixture(url);
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: HTTP ${res.status} (replayed)`);
+    return res;
+  }
   let attempt = 0;
   while (true) {
     attempt++;
@@ -70,8 +231,11 @@ async function fetchWithRetry(url, { timeoutMs = 8000, retries = 2 } = {}) {
         signal: controller.signal,
       });
       clearTimeout(t);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      return res;
+      if (!res.ok) {
+        if (RECORD) await recordFixture(url, res);
+        throw new Error(`HTTP ${res.status}`);
+      }
+      return RECORD ? await recordFixture(url, res) : res;
     } catch (e) {
       clearTimeout(t);
       if (attempt > retries + 1) throw new Error(`Failed to fetch ${url}: ${e.message}`);
@@ -80,12 +244,6 @@ async function fetchWithRetry(url, { timeoutMs = 8000, retries = 2 } = {}) {
   }
 }
 
-// Helper: fetch and parse
-async function load(url) {
-  const res = await fetchWithRetry(url);
-  const html = await res.text();
-  return cheerioLoad(html);
-}
 
 // ---- MediaWiki Action API helpers ----
 const MW_API = process.env.WIKISOCION_API || "https://wikisocion.net/w/api.php";
@@ -101,23 +259,24 @@ async function mwGet(params) {
   return json;
 }
 
-async function mwListTypePagesViaCategory() {
+// Article titles in a category, following cmcontinue until the listing is complete.
+async function mwListCategoryMembers(category) {
   const titles = [];
-  let cmcontinue = undefined;
-  const cmtitle = `Category:${TYPES_CATEGORY}`;
+  let cont = undefined;
   do {
     const json = await mwGet({
       action: "query",
       list: "categorymembers",
-      cmtitle,
+      cmtitle: `Category:${category}`,
       cmlimit: "max",
       cmtype: "page",
-      ...(cmcontinue ? { cmcontinue } : {}),
+      cmnamespace: "0",
+      ...(cont ? { cmcontinue: cont.cmcontinue, continue: cont.continue } : {}),
     });
     const members = json?.query?.categorymembers || [];
     for (const m of members) titles.push(m.title);
-    cmcontinue = json?.continue?.cmcontinue;
-  } while (cmcontinue);
+    cont = json?.continue?.cmcontinue ? json.continue : undefined;
+  } while (cont);
   return titles;
 }
 
@@ -133,22 +292,169 @@ async function mwParsePage(title) {
   return json?.parse;
 }
 
-function extractLeadParagraphFromHtml(html) {
+// ---- Page cache: parsed pages keyed by title + revid; unchanged pages are not re-parsed ----
+// A single revisions query per run finds the latest revid of every page. --force ignores the cache;
+// --record and --replay never touch it, so every page is fetched from (or into) the fixtures.
+const FORCE = process.argv.includes("--force");
+const CACHE_FILE = path.join(__dirname, ".cache", "mediawiki-pages.json");
+const latestRevids = new Map(); // requested title -> latest revid
+let pageCache = null; // { [title]: { revid, parse: { text, revid, displaytitle } } }
+const cacheStats = { hits: 0, fetched: 0 };
+
+async function loadPageCache() {
+  if (pageCache) return pageCache;
+  if (RECORD || REPLAY) {
+    pageCache = {};
+    return pageCache;
+  }
+  try {
+    pageCache = JSON.parse(await fs.readFile(CACHE_FILE, "utf8"));
+  } catch {
+    pageCache = {};
+  }
+  return pageCache;
+}
+
+async function savePageCache() {
+  if (!pageCache || RECORD || REPLAY) return;
+  await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+  await fs.writeFile(CACHE_FILE, JSON.stringify(pageCache));
+}
+
+// Latest revid for each title (50 per request), following normalisation and redirects.
+async function mwPrimeRevisions(titles) {
+  for (let i = 0; i < titles.length; i += 50) {
+    const batch = titles.slice(i, i + 50);
+    const json = await mwGet({
+      action: "query",
+      prop: "revisions",
+      rvprop: "ids",
+      titles: batch.join("|"),
+      redirects: "true",
+      formatversion: "2",
+    });
+    const query = json?.query || {};
+    const hop = (list) => Object.fromEntries((list || []).map((r) => [r.from, r.to]));
+    const normalized = hop(query.normalized);
+    const redirects = hop(query.redirects);
+    const revids = Object.fromEntries((query.pages || []).map((p) => [p.title, p.revisions?.[0]?.revid]));
+    for (const title of batch) {
+      const name = normalized[title] || title;
+      const revid = revids[redirects[name] || name];
+      if (revid) latestRevids.set(title, revid);
+    }
+  }
+}
+
+// Parsed page from the cache when its revid is still current, otherwise from the API.
+async function mwParsePageCached(title) {
+  const cache = await loadPageCache();
+  const latest = latestRevids.get(title);
+  const hit = cache[title];
+  if (!FORCE && latest && hit && hit.revid === latest) {
+    cacheStats.hits++;
+    return hit.parse;
+  }
+  const parsed = await mwParsePage(title);
+  if (parsed && parsed.text) {
+    cache[title] = { revid: parsed.revid, parse: { text: parsed.text, revid: parsed.revid, displaytitle: parsed.displaytitle } };
+  }
+  cacheStats.fetched++;
+  if (!REPLAY) await delay(120); // be gentle
+  return parsed;
+}
+
+// Page HTML without infoboxes, captions, edit links and footnote markers (LEAD_NOISE), so
+// paragraph text reads as prose.
+function loadPage(html) {
   const $ = cheerioLoad(html);
-  // Prefer first paragraph with some text; skip coordinates/infobox wrappers
-  const p = $("p").filter((_, el) => $(el).text().trim().length > 60).first();
-  const text = (p.text() || "").replace(/\s+/g, " ").trim();
-  return text || null;
+  $(LEAD_NOISE).remove();
+  return $;
 }
 
-async function scrapeTypeViaMediaWiki(code) {
-  const pageTitle = TYPE_PAGES[code] || code;
-  const parsed = await mwParsePage(pageTitle);
-  if (!parsed || !parsed.text) throw new Error(`No parse for ${pageTitle}`);
-  const overview = extractLeadParagraphFromHtml(parsed.text) || "Socionics type description.";
+// Every paragraph, for pickLead; `lead` marks those before the first section heading.
+function leadCandidates($) {
+  const out = [];
+  $("p").each((_, el) => {
+    const text = $(el).text().replace(/\s+/g, " ").trim();
+    if (text) out.push({ text, lead: !$(el).prevAll("h2, div.mw-heading").length });
+  });
+  return out;
+}
+
+// Heading text, its anchor id and the first paragraph under it, for every h2-h4 on the page.
+// MediaWiki 1.43+ wraps headings in div.mw-heading, so walk siblings of the wrapper.
+function extractSections($) {
+  const sections = [];
+  $("h2, h3, h4").each((_, el) => {
+    const $h = $(el);
+    const heading = ($h.find(".mw-headline").text() || $h.text()).replace(/\[edit\]/g, "").replace(/\s+/g, " ").trim();
+    const anchor = $h.find(".mw-headline").attr("id") || $h.attr("id") || null;
+    const block = $h.parent().is("div.mw-heading") ? $h.parent() : $h;
+    const p = block.nextUntil("h2, h3, h4, div.mw-heading").filter("p").first();
+    const text = p.text().replace(/\s+/g, " ").trim();
+    if (heading) sections.push({ heading, text, anchor });
+  });
+  return sections;
+}
+
+// ---- MediaWiki XML dump (Special:Export or dumpBackup.php): offline source ----
+// The whole file is parsed in memory, so export just the type and relation pages rather than
+// the full wiki. Pages come back in the action=parse shape ({ text, revid, displaytitle }).
+const REDIRECT_HOPS = 3;
+
+async function loadDump(file) {
+  let xml;
+  try {
+    xml = await fs.readFile(file, "utf8");
+  } catch (e) {
+    throw new Error(`Cannot read dump ${file}: ${e.message}`);
+  }
+  const $ = cheerioLoad(xml, { xml: true });
+  const pages = new Map(); // normalized title -> { title, revid, wikitext, redirect }
+  $("page").each((_, el) => {
+    const $page = $(el);
+    const title = $page.children("title").text();
+    // Full-history exports list every revision, oldest first
+    const revision = $page.children("revision").last();
+    if (!title || !revision.length) return;
+    pages.set(normalizeTitle(title), {
+      title,
+      revid: Number(revision.children("id").text()) || undefined,
+      wikitext: revision.children("text").text(),
+      redirect: $page.children("redirect").attr("title") || null,
+    });
+  });
+  if (!pages.size) throw new Error(`No pages in dump ${file}; expected a MediaWiki XML export.`);
+  return pages;
+}
+
+// Page reader over a loaded dump, following redirects like action=parse&redirects.
+function dumpPageReader(pages) {
+  return async (title) => {
+    let page = pages.get(normalizeTitle(title));
+    for (let hop = 0; page && page.redirect && hop < REDIRECT_HOPS; hop++) {
+      page = pages.get(normalizeTitle(page.redirect));
+    }
+    if (!page || page.redirect) return null;
+    return { text: renderWikitext(page.wikitext), revid: page.revid, displaytitle: page.title };
+  };
+}
+
+// Type record from rendered page HTML; `page` is { page, url, revId? }. The lead paragraph,
+// subtype sections and content sections are found the same way for every source.
+// With no usable paragraph the overview falls back to the content summary; failing that, the
+// placeholder is left for validation to reject as a title stub.
+function typeFromHtml(code, html, page) {
+  const $ = loadPage(html);
   const info = TYPE_INFO[code];
-  const href = MW_PAGE_BASE + encodeURIComponent(pageTitle);
-  return {
+  const { content, sources } = extractTypeContent($, code, page);
+  let overview = pickLead(leadCandidates($), { names: [code, info.fullName, info.alias, page.page], max: 500 });
+  if (!overview && content.summary) {
+    overview = truncateAtSentence(content.summary, 500);
+    sources.overview = sources["content.summary"];
+  }
+  const record = {
     code,
     fullName: info.fullName,
     alias: info.alias,
@@ -156,74 +462,372 @@ async function scrapeTypeViaMediaWiki(code) {
     temperament: info.temperament,
     leading: info.leading,
     creative: info.creative,
-    overview: overview.slice(0, 500),
-    href,
-    revId: parsed.revid,
+    overview: overview || "Socionics type description.",
+    subtypes: mergeSubtypeSections(code, extractSections($)),
+    content,
+    href: page.url,
+    sources,
+  };
+  if (Number.isInteger(page.revId)) record.revId = page.revId;
+  return record;
+}
+
+// `readPage` returns a page in the action=parse shape: the live API or a dump.
+async function scrapeTypeViaMediaWiki(code, readPage = mwParsePageCached) {
+  const pageTitle = TYPE_PAGES[code] || code;
+  const parsed = await readPage(pageTitle);
+  if (!parsed || !parsed.text) throw new Error(`No parse for ${pageTitle}`);
+  const href = MW_PAGE_BASE + encodeURIComponent(pageTitle);
+  return {
+    ...typeFromHtml(code, parsed.text, { page: pageTitle, url: href, revId: parsed.revid }),
     title: parsed.displaytitle || pageTitle,
   };
 }
 
-// Heuristic parsers (selectors vary across pages; keep robust & conservative)
-function parseType($, code) {
-  const info = TYPE_INFO[code];
-  
-  // Try to get overview from first paragraph
-  const firstParagraph = $("p").first().text().trim();
-  const overview = firstParagraph ? firstParagraph.replace(/\s+/g, " ").slice(0, 280) : "Socionics type description.";
+// ---- Static archive (wikisocion.github.io/content), over HTTP or from a local mirror ----
+const ARCHIVE_BASE = "https://wikisocion.github.io/content";
 
+// Reads an archive page by file name ("LII.html"). With `mirror`, from that directory instead
+// of the network: either the content/ files themselves or a site mirror holding content/.
+function archiveReader(mirror) {
+  if (!mirror) return async (file) => (await fetchWithRetry(`${ARCHIVE_BASE}/${file}`)).text();
+  return async (file) => {
+    for (const candidate of [path.join(mirror, file), path.join(mirror, "content", file)]) {
+      try {
+        return await fs.readFile(candidate, "utf8");
+      } catch (e) {
+        if (e.code !== "ENOENT") throw new Error(`Unreadable ${candidate}: ${e.message}`);
+      }
+    }
+    throw new Error(`${file} not found in mirror ${mirror}`);
+  };
+}
+
+function archiveFile(title) {
+  return `${title.replace(/ /g, "_")}.html`;
+}
+
+// Archive pages are full documents; keep the article body so site chrome (navigation,
+// footer headings) does not reach the section extractors. `revId` comes from the
+// wgRevisionId config the page was saved with, when present.
+function archivePage(html) {
+  const $ = cheerioLoad(html);
+  const body = $(".mw-parser-output, #mw-content-text, main, article").first();
+  const revision = /"wgRevisionId"\s*:\s*(\d+)/.exec(html);
   return {
-    code,
-    fullName: info.fullName,
-    alias: info.alias,
-    quadra: info.quadra,
-    temperament: info.temperament,
-    leading: info.leading,
-    creative: info.creative,
-    overview,
-    href: `https://wikisocion.github.io/content/${code}.html`,
+    html: body.length ? body.html() : $("body").html() || html,
+    revId: revision && Number(revision[1]) ? Number(revision[1]) : undefined,
+  };
+}
+
+async function scrapeTypeFromArchive(code, readArchive) {
+  const file = archiveFile(code);
+  const { html, revId } = archivePage(await readArchive(file));
+  return typeFromHtml(code, html, { page: TYPE_PAGES[code], url: `${ARCHIVE_BASE}/${file}`, revId });
+}
+
+// First `max` substantial paragraphs of the page lead, i.e. before the first heading.
+function extractLeadParagraphs($, max = 3) {
+  const out = [];
+  $("p").each((_, el) => {
+    if (out.length >= max) return false;
+    if ($(el).prevAll("h2, div.mw-heading").length) return false;
+    const text = $(el).text().replace(/\s+/g, " ").trim();
+    if (text.length > 60) out.push(text);
+  });
+  return out;
+}
+
+// One record per relation kind; scraped text replaces the defaults field by field.
+// `page` is { page, url, revId? } for the relation page, whether or not it loaded.
+function parseRelation($, kind, page) {
+  const { ordered, roles: roleNames } = RELATION_KINDS.find((k) => k.kind === kind);
+  const fallback = RELATION_DEFAULTS[kind];
+  const lead = $ ? extractLeadParagraphs($) : [];
+  const sections = $ ? extractSections($) : [];
+  const record = {
+    name: kind,
+    ordered,
+    summary: lead.length ? truncateAtSentence(lead[0], 280) : fallback.summary,
+    description: lead.length ? truncateParagraphs(lead, 1500) : fallback.description,
+    href: page.url,
   };
+  const leadSource = lead.length ? pageSource(page) : BUILT_IN_RELATIONS;
+  const sources = { summary: leadSource, description: leadSource };
+  if (ordered) {
+    record.roles = Object.fromEntries(roleNames.map((role) => {
+      const section = sections.find((s) => s.text && new RegExp(`^${role}`, "i").test(s.heading));
+      sources[`roles.${role}`] = section ? pageSource(page, section.anchor) : BUILT_IN_RELATIONS;
+      return [role, section ? truncateAtSentence(section.text, 500) : fallback.roles[role]];
+    }));
+  }
+  record.sources = sources;
+  return record;
+}
+
+// Relation pages are supplementary: a page that fails falls back to the defaults.
+// `readPage` serves the mediawiki and dump sources, `readArchive` the github and dir ones.
+async function scrapeRelations(source, { readPage = mwParsePageCached, readArchive = archiveReader() } = {}) {
+  const records = [];
+  for (const kind of RELATION_KINDS.map((k) => k.kind)) {
+    const title = RELATION_PAGES[kind];
+    let $ = null;
+    const page = { page: title, url: `${ARCHIVE_BASE}/${archiveFile(title)}` };
+    try {
+      if (source === "mediawiki" || source === "dump") {
+        const parsed = await readPage(title);
+        if (!parsed || !parsed.text) throw new Error(`No parse for ${title}`);
+        $ = loadPage(parsed.text);
+        page.url = MW_PAGE_BASE + encodeURIComponent(title);
+        page.revId = parsed.revid;
+      } else {
+        const archived = archivePage(await readArchive(archiveFile(title)));
+        $ = loadPage(archived.html);
+        if (archived.revId) page.revId = archived.revId;
+      }
+    } catch (e) {
+      console.warn(`Relation page "${title}" unavailable (${e.message}); using built-in text.`);
+    }
+    records.push(parseRelation($, kind, page));
+  }
+  return records;
 }
 
-// Duality (sorted keys!)
-const DUAL_PAIRS = [
-  ["ILE","SEI"],["LII","ESE"],["SLE","IEI"],["LSI","EIE"],
-  ["SEE","ILI"],["ESI","LIE"],["LSE","EII"],["SLI","IEE"],
-];
+// ---- Corpus: every article in the configured categories, for in-app reading and search ----
+// Writes public/data/corpus/index.json plus one <slug>.json per article. Category names can be
+// overridden per group (WIKISOCION_TYPES_CATEGORY, ..._RELATIONS_, ..._ELEMENTS_, ..._THEORY_CATEGORY).
+export const CORPUS_CATEGORIES = {
+  types: TYPES_CATEGORY,
+  relations: process.env.WIKISOCION_RELATIONS_CATEGORY || "Intertype relations",
+  elements: process.env.WIKISOCION_ELEMENTS_CATEGORY || "Information elements",
+  theory: process.env.WIKISOCION_THEORY_CATEGORY || "Socionics theory",
+};
+const CORPUS_DIR = path.join(OUT_DIR, "corpus");
 
-function dualKey(a,b){ return [a,b].sort().join("-"); }
+// Markup kept in corpus articles. Other elements are unwrapped, other attributes dropped,
+// so the app can render the HTML as-is.
+const CORPUS_TAGS = new Set([
+  "p", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "dl", "dt", "dd", "blockquote", "pre", "code",
+  "table", "thead", "tbody", "tfoot", "tr", "th", "td", "caption", "a", "b", "strong", "i", "em",
+  "sub", "sup", "br", "hr", "span", "div", "small", "cite",
+]);
+const CORPUS_ATTRS = new Set(["id", "href", "title", "colspan", "rowspan", "data-title"]);
+const CORPUS_DROP = [
+  "script", "style", "link", "meta", "noscript", "img", "audio", "video", "iframe", "form", "input",
+  ".mw-editsection", ".toc", "#toc", ".navbox", ".noprint", ".mw-empty-elt", ".catlinks", ".metadata",
+].join(", ");
+// Namespaced links (File:, Category:, ...) are not articles
+const NON_ARTICLE = /^(special|file|image|media|category|template|help|user|talk|mediawiki|module|portal|wikipedia|[a-z ]+ talk):/i;
 
-async function scrapeAll() {
-  const base = "https://wikisocion.github.io/content";
-  const generatedAt = new Date().toISOString();
+// Readable, collision-free file name for a title
+function corpusSlug(title) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+  const hash = createHash("sha1").update(title).digest("hex").slice(0, 8);
+  return base ? `${base}-${hash}` : hash;
+}
 
-  // Choose source: mediawiki | github | auto (default)
-  const arg = process.argv.find(a => a.startsWith("--source="));
-  const source = arg ? arg.split("=")[1] : (process.env.WIKISOCION_SOURCE || "auto");
+// Absolute http(s) URL for `href`, or null for javascript:, data:, vbscript: and anything
+// that does not parse.
+function safeUrl(href, base) {
+  try {
+    const resolved = new URL(href, base);
+    return resolved.protocol === "http:" || resolved.protocol === "https:" ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Sanitised article HTML plus the titles of the wiki articles it links to. Internal links
+// keep an absolute href and carry their target in data-title for the reader to rewrite.
+function cleanArticleHtml(html) {
+  const $ = cheerioLoad(html, null, false);
+  $(CORPUS_DROP).remove();
+  $.root().find("*").addBack().contents().filter((_, node) => node.type === "comment").remove();
+  const origin = new URL(MW_PAGE_BASE).origin;
+  const links = new Set();
+  $("a").each((_, el) => {
+    const $a = $(el);
+    const href = $a.attr("href") || "";
+    if (href && !href.startsWith("#")) {
+      // Resolved first: the URL parser drops the tabs and newlines that hide "java\nscript:"
+      const resolved = safeUrl(href, origin);
+      if (resolved) $a.attr("href", resolved);
+      else $a.removeAttr("href");
+    }
+    const target = $a.attr("title");
+    if (!target || href.startsWith("#") || $a.hasClass("external") || $a.hasClass("new") || NON_ARTICLE.test(target)) return;
+    const title = normalizeTitle(target);
+    links.add(title);
+    $a.attr("data-title", title);
+  });
+  // Innermost first, so unwrapping never detaches an element still waiting in the list
+  for (const el of $("*").toArray().reverse()) {
+    if (!CORPUS_TAGS.has(el.name)) {
+      $(el).replaceWith($(el).contents());
+      continue;
+    }
+    for (const name of Object.keys(el.attribs || {})) {
+      if (!CORPUS_ATTRS.has(name)) $(el).removeAttr(name);
+    }
+  }
+  return { html: $.html().trim(), links: [...links].sort() };
+}
+
+// Crawls `groups` (keys of CORPUS_CATEGORIES) and rewrites the corpus directory.
+// `limit` caps the number of articles, e.g. for a quick trial run.
+export async function crawlCorpus({ groups = Object.keys(CORPUS_CATEGORIES), limit = Infinity } = {}) {
+  const memberOf = new Map(); // title -> category groups
+  for (const group of groups) {
+    const category = CORPUS_CATEGORIES[group];
+    let titles = [];
+    try {
+      titles = await mwListCategoryMembers(category);
+    } catch (e) {
+      console.warn(`Category "${category}" unavailable (${e.message}); skipping.`);
+      continue;
+    }
+    console.log(`Category:${category}: ${titles.length} article(s)`);
+    for (const title of titles) memberOf.set(title, [...(memberOf.get(title) || []), group]);
+  }
+  const titles = [...memberOf.keys()].slice(0, limit);
+  if (!titles.length) throw new Error("No articles found in the configured categories; corpus left unchanged.");
+
+  try {
+    await mwPrimeRevisions(titles);
+  } catch (e) {
+    console.warn(`Revisions query failed (${e.message}); re-parsing every page.`);
+  }
+  const articles = [];
+  let failed = 0;
+  for (const title of titles) {
+    let parsed;
+    try {
+      parsed = await mwParsePageCached(title);
+      if (!parsed || !parsed.text) throw new Error("empty parse");
+    } catch (e) {
+      console.warn(`Article "${title}" unavailable (${e.message}); skipping.`);
+      failed++;
+      continue;
+    }
+    const { html, links } = cleanArticleHtml(parsed.text);
+    const displayTitle = cheerioLoad(parsed.displaytitle || title, null, false).root().text().trim() || title;
+    articles.push({
+      title,
+      displayTitle,
+      slug: corpusSlug(title),
+      revId: parsed.revid,
+      categories: memberOf.get(title),
+      url: MW_PAGE_BASE + encodeURIComponent(title),
+      summary: pickLead(leadCandidates(loadPage(parsed.text)), { names: [title], max: 280 }) || "",
+      html,
+      links,
+    });
+  }
+  await savePageCache();
+  if (!articles.length) throw new Error("Every article failed to load; corpus left unchanged.");
+
+  await fs.mkdir(CORPUS_DIR, { recursive: true });
+  const keep = new Set(["index.json", ...articles.map((a) => `${a.slug}.json`)]);
+  for (const name of await fs.readdir(CORPUS_DIR)) {
+    if (name.endsWith(".json") && !keep.has(name)) await fs.rm(path.join(CORPUS_DIR, name));
+  }
+  for (const { summary, categories, ...article } of articles) {
+    await fs.writeFile(path.join(CORPUS_DIR, `${article.slug}.json`), JSON.stringify(article, null, 2));
+  }
+  const index = {
+    generatedAt: await runTimestamp({ command: "crawl", api: MW_API }),
+    categories: Object.fromEntries(groups.map((g) => [g, CORPUS_CATEGORIES[g]])),
+    articles: articles.map(({ html, links, ...entry }) => ({ ...entry, linkCount: links.length })),
+  };
+  await fs.writeFile(path.join(CORPUS_DIR, "index.json"), JSON.stringify(index, null, 2));
+  console.log(`MediaWiki pages: ${cacheStats.hits} unchanged (cached), ${cacheStats.fetched} parsed${FORCE ? " (--force)" : ""}`);
+  console.log(`Wrote ${CORPUS_DIR}: ${articles.length} article(s)${failed ? `, ${failed} failed` : ""}`);
+  return index;
+}
+
+// Never overwrite a bundle written by a newer schema; that would silently downgrade it.
+async function assertOutputVersion() {
+  let existing = null;
+  try {
+    existing = JSON.parse(await fs.readFile(path.join(OUT_DIR, "meta.json"), "utf8"));
+  } catch {
+    return;
+  }
+  const version = bundleVersion(existing);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`${OUT_DIR} holds schema v${version} data but this scraper emits v${SCHEMA_VERSION}; update the scraper first.`);
+  }
+}
+
+async function readOutputJson(name) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(OUT_DIR, name), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// The bundle currently on disk, upgraded to SCHEMA_VERSION so the diff compares like with like
+async function readPreviousBundle() {
+  const [types, relations, glossary, meta] = await Promise.all(
+    ["types.json", "relations.json", "glossary.json", "meta.json"].map(readOutputJson)
+  );
+  if (!types) return null;
+  return migrateBundle({ types, relations, glossary, meta }).bundle;
+}
+
+// Scrapes every page, validates the result and writes the bundle to public/data.
+// source: mediawiki | github | auto (MediaWiki, falling back to the GitHub archive) |
+// dump (the MediaWiki XML export at `dump`) | dir:<path> (a local mirror of the GitHub archive).
+// dump and dir need no network.
+export async function scrapeAll({ source = process.env.WIKISOCION_SOURCE || "auto", dump = process.env.WIKISOCION_DUMP } = {}) {
+  const mirror = source.startsWith("dir:") ? source.slice(4) : null;
+  const generatedAt = await runTimestamp({ command: "scrape", source, api: MW_API });
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  await assertOutputVersion();
 
   let types = [];
-  let usedSource = source;
+  let usedSource = mirror ? "dir" : source;
+  let readPage = mwParsePageCached;
+  const readArchive = archiveReader(mirror);
+  const typesFromMediaWiki = async () => {
+    // One cheap revisions query decides which pages need a fresh parse
+    try {
+      await mwPrimeRevisions([...Object.values(TYPE_PAGES), ...Object.values(RELATION_PAGES)]);
+    } catch (e) {
+      console.warn(`Revisions query failed (${e.message}); re-parsing every page.`);
+    }
+    const acc = [];
+    for (const code of TYPE_CODES) {
+      acc.push(await scrapeTypeViaMediaWiki(code));
+    }
+    return acc;
+  };
   const typesFromGitHub = async () => {
     const acc = [];
     for (const code of TYPE_CODES) {
-      const url = `${base}/${code}.html`;
-      const $ = await load(url);
-      acc.push(parseType($, code));
+      acc.push(await scrapeTypeFromArchive(code, readArchive));
     }
     return acc;
   };
 
-  if (source === "github") {
+  if (source === "dump") {
+    if (!dump) throw new Error("The dump source needs a MediaWiki XML export (--dump=<file> or WIKISOCION_DUMP).");
+    const pages = await loadDump(dump);
+    console.log(`Dump ${path.basename(dump)}: ${pages.size} page(s)`);
+    readPage = dumpPageReader(pages);
+    for (const code of TYPE_CODES) {
+      types.push(await scrapeTypeViaMediaWiki(code, readPage));
+    }
+  } else if (mirror) {
+    const stat = await fs.stat(mirror).catch(() => null);
+    if (!stat || !stat.isDirectory()) throw new Error(`Mirror directory ${mirror} does not exist.`);
+    types = await typesFromGitHub();
+  } else if (source === "github") {
     types = await typesFromGitHub();
   } else if (source === "mediawiki") {
     try {
-      const acc = [];
-      for (const code of TYPE_CODES) {
-        const t = await scrapeTypeViaMediaWiki(code);
-        acc.push(t);
-        // be gentle
-        await delay(120);
-      }
-      types = acc;
+      types = await typesFromMediaWiki();
     } catch (e) {
       console.warn(`MediaWiki scrape failed (${e.message}); falling back to GitHub content.`);
       usedSource = "github";
@@ -232,13 +836,7 @@ async function scrapeAll() {
   } else {
     // auto: try mediawiki, then fallback
     try {
-      const acc = [];
-      for (const code of TYPE_CODES) {
-        const t = await scrapeTypeViaMediaWiki(code);
-        acc.push(t);
-        await delay(120);
-      }
-      types = acc;
+      types = await typesFromMediaWiki();
       usedSource = "mediawiki";
     } catch (e) {
       console.warn(`Auto mode: MediaWiki unavailable (${e.message}). Using GitHub pages.`);
@@ -261,48 +859,74 @@ async function scrapeAll() {
   
   const glossary = Object.entries(glossaryDefinitions).map(([term, shortDef]) => ({
     term,
-    shortDef
+    shortDef,
+    sources: { shortDef: BUILT_IN_GLOSSARY },
   }));
 
-  const relations = DUAL_PAIRS.map(([a,b]) => ({
-    a, b, name: "Duality",
-    summary: "Complementary strengths; easy role division; watch for over-reliance on partner's valued elements.",
-  }));
+  const relations = await scrapeRelations(usedSource, { readPage, readArchive });
+  if (usedSource === "mediawiki") {
+    await savePageCache();
+    console.log(`MediaWiki pages: ${cacheStats.hits} unchanged (cached), ${cacheStats.fetched} parsed${FORCE ? " (--force)" : ""}`);
+  }
 
   // --- Smoke tests (don't change without reason) ---
   console.assert(types.length === 16, "Expected 16 type pages");
   console.assert(new Set(types.map(t=>t.code)).size === 16, "Type codes unique");
-  console.assert(relations.length === 8, "Expected 8 dual pairs");
-  for (const [a,b] of DUAL_PAIRS) {
-    console.assert(TYPE_CODES.includes(a) && TYPE_CODES.includes(b), `Unknown type in dual: ${a}-${b}`);
-  }
-
-  await fs.writeFile(path.join(OUT_DIR, "types.json"), JSON.stringify(types, null, 2));
-  await fs.writeFile(path.join(OUT_DIR, "relations.json"), JSON.stringify(relations, null, 2));
-  await fs.writeFile(path.join(OUT_DIR, "glossary.json"), JSON.stringify(glossary, null, 2));
+  console.assert(relations.length === RELATION_KINDS.length, `Expected ${RELATION_KINDS.length} relation kinds`);
 
   // Precomputed search index (simple, compact)
-  const entries = [];
-  for (const t of types) {
-    const hay = [t.code, t.fullName, t.alias, t.quadra, t.temperament, t.leading, t.creative].join(" ").toLowerCase();
-    entries.push({ kind: "type", id: t.code, code: t.code, fullName: t.fullName, alias: t.alias, haystack: hay });
-  }
-  for (const g of glossary) {
-    const hay = [g.term, g.shortDef].join(" ").toLowerCase();
-    entries.push({ kind: "gloss", id: g.term, term: g.term, shortDef: g.shortDef, haystack: hay });
-  }
-  await fs.writeFile(path.join(OUT_DIR, "search.json"), JSON.stringify({ entries }, null, 2));
+  const entries = buildSearchEntries(types, glossary);
 
+  const sourceNames = {
+    mediawiki: { types: `${MW_API} (Action API: parse)`, relations: `${MW_API} (Action API: parse, relation pages)` },
+    dump: dump && {
+      types: `${path.basename(dump)} (MediaWiki XML dump)`,
+      relations: `${path.basename(dump)} (MediaWiki XML dump, relation pages)`,
+    },
+    dir: mirror && {
+      types: `${path.basename(mirror)}/[TYPE].html (local mirror of ${ARCHIVE_BASE})`,
+      relations: `${path.basename(mirror)}/[RELATION].html (local mirror of ${ARCHIVE_BASE})`,
+    },
+    github: { types: `${ARCHIVE_BASE}/[TYPE].html`, relations: `${ARCHIVE_BASE}/[RELATION].html` },
+  }[usedSource];
   const meta = {
+    schemaVersion: SCHEMA_VERSION,
     generatedAt,
     sources: {
-      types: usedSource === "mediawiki" ? `${MW_API} (Action API: parse)` : `${base}/[TYPE].html`,
-      relations: "DUAL_PAIRS hardcoded (script)",
+      ...sourceNames,
       glossary: "Short definitions embedded in script",
     },
   };
+
+  // The bundle must match the current schema version exactly (same checks the app runs
+  // at load time, minus migrations); refuse to write anything else.
+  const issues = [
+    ...sanitizeDataset({ types, relations, glossary, search: entries, meta }).issues,
+    ...validateDataset({ types, relations, glossary, search: entries }),
+  ];
+  if (issues.length) {
+    for (const i of issues) console.error(`  ${formatIssue(i)}`);
+    throw new Error(`Data validation failed with ${issues.length} issue(s); nothing written.`);
+  }
+
+  // Diff against the bundle being replaced; unchanged runs leave the changelog alone
+  const previous = await readPreviousBundle();
+  const entry = changelogEntry(previous, { types, relations, glossary, meta }, { source: usedSource });
+  if (entry) {
+    const log = appendChangelog(await readOutputJson("changelog.json"), entry);
+    await fs.writeFile(path.join(OUT_DIR, "changelog.json"), JSON.stringify(log, null, 2));
+    const { records, added, removed, changed } = entry.summary;
+    console.log(`Changelog: ${records} record(s) touched (${added} added, ${removed} removed, ${changed} changed)`);
+  } else {
+    console.log("Changelog: no data changes since the previous scrape");
+  }
+
+  await fs.writeFile(path.join(OUT_DIR, "types.json"), JSON.stringify(types, null, 2));
+  await fs.writeFile(path.join(OUT_DIR, "relations.json"), JSON.stringify(relations, null, 2));
+  await fs.writeFile(path.join(OUT_DIR, "glossary.json"), JSON.stringify(glossary, null, 2));
+
+  await fs.writeFile(path.join(OUT_DIR, "search.json"), JSON.stringify({ entries }, null, 2));
+
   await fs.writeFile(path.join(OUT_DIR, "meta.json"), JSON.stringify(meta, null, 2));
   console.log(`Wrote ${OUT_DIR}/types.json, relations.json, glossary.json, search.json, meta.json`);
 }
-
-scrapeAll().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,59 @@
+// Vite build plugin for the service worker (src/sw.js): emits sw.js at the root of the build
+// with its precache list and version filled in.
+//
+// Precached: index.html, the emitted scripts, styles and woff2 fonts, and from public/ the
+// manifest, icon and data/*.json (not corpus/, which is cached as it is read). The version is
+// meta.generatedAt plus a hash of the precached files, so new data or a new build both
+// install a fresh cache and retire the old one.
+import fs from "node:fs/promises";
+import * as path from "node:path";
+import * as url from "node:url";
+import crypto from "node:crypto";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const SOURCE = path.join(__dirname, "..", "src", "sw.js");
+const PUBLIC_FILES = ["manifest.webmanifest", "favicon.svg"];
+// .woff fallbacks are skipped: every browser with service workers reads woff2
+const PRECACHE_ASSETS = /\.(js|css|woff2|svg|png)$/;
+
+async function publicDataFiles(publicDir) {
+  const files = await fs.readdir(path.join(publicDir, "data")).catch(() => []);
+  return files.filter((file) => file.endsWith(".json")).sort().map((file) => `data/${file}`);
+}
+
+async function generatedAt(publicDir) {
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(publicDir, "data", "meta.json"), "utf8"));
+    return meta.generatedAt || "unversioned";
+  } catch {
+    return "unversioned";
+  }
+}
+
+export function serviceWorkerPlugin() {
+  let publicDir;
+  return {
+    name: "service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    async generateBundle(_, bundle) {
+      const emitted = Object.keys(bundle).filter((file) => PRECACHE_ASSETS.test(file));
+      const publicFiles = [];
+      for (const file of PUBLIC_FILES) {
+        if (await fs.stat(path.join(publicDir, file)).catch(() => null)) publicFiles.push(file);
+      }
+      const precache = ["index.html", ...emitted.sort(), ...publicFiles, ...(await publicDataFiles(publicDir))];
+      // Data files keep their names between scrapes, so their contents go into the hash too
+      const hash = crypto.createHash("sha1").update(precache.join("\n"));
+      for (const file of await publicDataFiles(publicDir)) hash.update(await fs.readFile(path.join(publicDir, file)));
+      const version = `${await generatedAt(publicDir)}-${hash.digest("hex").slice(0, 8)}`;
+      // Only the placeholders in statements ("= __SW_VERSION__;"), not the ones in comments
+      const values = { VERSION: version, PRECACHE: precache };
+      const source = (await fs.readFile(SOURCE, "utf8")).replace(/__SW_(VERSION|PRECACHE)__;/g, (_, name) => `${JSON.stringify(values[name])};`);
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
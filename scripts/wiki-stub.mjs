@@ -0,0 +1,261 @@
+// Dev-only stand-in for the MediaWiki Action API: the subset of api.php the scraper and the
+// live data provider call, answered from a fixtures folder, for offline development and tests.
+//
+//   node scripts/wiki-stub.mjs [--port=8787] [--fixtures=<dir>]
+//   WIKISOCION_API=http://localhost:8787/api.php node scripts/data.mjs scrape --source=mediawiki
+//   VITE_WIKISOCION_API=http://localhost:8787/api.php npm run dev
+//
+// `npm run dev` also mounts it at /wiki-stub/api.php (see vite.config.js), so
+// VITE_WIKISOCION_API=/wiki-stub/api.php works without a second process.
+//
+// Supported: action=parse (page, redirects), action=query with list=categorymembers
+// (cmlimit/cmcontinue paging), prop=revisions (titles, redirects) and meta=siteinfo, in
+// formatversion 1 or 2. Anything else gets a MediaWiki-style { error } object.
+//
+// Fixtures (default scripts/fixtures/wiki, or --fixtures / WIKISOCION_STUB_FIXTURES): one file
+// per page named after its title, "LII (INTj).wiki" or "Model_A.html"; "%2F" stands for "/".
+// .wiki files are rendered by scripts/wikitext.mjs, "#REDIRECT [[Target]]" makes a redirect
+// and [[Category:…]] links fill the category listings. .html files are served as parser
+// output; list their categories in categories.json ({ "Socionics types": ["LII (INTj)"] }).
+// Revids are derived from file contents, so editing a fixture reads as a new revision.
+// The folder is re-read on every request.
+import fs from "node:fs/promises";
+import http from "node:http";
+import * as path from "node:path";
+import * as url from "node:url";
+import crypto from "node:crypto";
+import { renderWikitext } from "./wikitext.mjs";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "wiki");
+export const STUB_PATH = "/wiki-stub/api.php";
+const DEFAULT_PORT = 8787;
+const REDIRECT_HOPS = 3;
+const MAX_LIMIT = 500;
+
+// MediaWiki title normalisation: underscores are spaces, the first letter is upper case
+function normalizeTitle(title) {
+  const clean = String(title || "").replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  return clean.charAt(0).toUpperCase() + clean.slice(1);
+}
+
+// Stable positive 31-bit number from file contents
+function revidFor(text) {
+  return parseInt(crypto.createHash("sha1").update(text).digest("hex").slice(0, 8), 16) & 0x7fffffff;
+}
+
+// { pages: Map(title -> { title, pageid, revid, text?, redirect?, categories }) }
+async function loadFixtures(dir) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).sort();
+  } catch (e) {
+    throw new Error(`Unreadable fixtures folder ${dir}: ${e.message}`);
+  }
+  const pages = new Map();
+  let extraCategories = {};
+  for (const file of files) {
+    const ext = path.extname(file);
+    const body = await fs.readFile(path.join(dir, file), "utf8").catch(() => null);
+    if (body === null) continue;
+    if (file === "categories.json") {
+      try {
+        extraCategories = JSON.parse(body);
+      } catch (e) {
+        console.warn(`[wiki-stub] Ignoring categories.json: ${e.message}`);
+      }
+      continue;
+    }
+    if (ext !== ".wiki" && ext !== ".html") continue;
+    const title = normalizeTitle(decodeURIComponent(path.basename(file, ext)));
+    if (pages.has(title)) {
+      console.warn(`[wiki-stub] ${file} duplicates "${title}"; ignored`);
+      continue;
+    }
+    const page = { title, pageid: pages.size + 1, revid: revidFor(body), categories: [] };
+    if (ext === ".wiki") {
+      const redirect = /^\s*#REDIRECT\s*\[\[([^\]|#]+)/i.exec(body);
+      if (redirect) page.redirect = normalizeTitle(redirect[1]);
+      else page.text = renderWikitext(body);
+      for (const m of body.matchAll(/\[\[\s*Category\s*:\s*([^\]|]+)/gi)) page.categories.push(normalizeTitle(m[1]));
+    } else {
+      page.text = body;
+    }
+    pages.set(title, page);
+  }
+  for (const [category, titles] of Object.entries(extraCategories)) {
+    for (const title of Array.isArray(titles) ? titles : []) {
+      const page = pages.get(normalizeTitle(title));
+      if (page) page.categories.push(normalizeTitle(category));
+    }
+  }
+  return { pages };
+}
+
+// Follows redirects like MediaWiki's `redirects` parameter; `from` lists the hops taken
+function resolve(pages, title, followRedirects) {
+  const hops = [];
+  let page = pages.get(title);
+  while (followRedirects && page && page.redirect && hops.length < REDIRECT_HOPS) {
+    hops.push({ from: page.title, to: page.redirect });
+    page = pages.get(page.redirect);
+  }
+  return { page, hops };
+}
+
+function apiError(code, info) {
+  return { error: { code, info } };
+}
+
+// [{ toclevel, level, line, number, index, anchor }] from the rendered headings
+function sectionsOf(html) {
+  const sections = [];
+  const counters = [];
+  for (const m of html.matchAll(/<h([2-6]) id="([^"]*)">(.*?)<\/h\1>/g)) {
+    const toclevel = Number(m[1]) - 1;
+    counters.length = toclevel;
+    counters[toclevel - 1] = (counters[toclevel - 1] || 0) + 1;
+    const number = Array.from(counters, (n) => n || 1).join(".");
+    sections.push({ toclevel, level: m[1], line: m[3], number, index: String(sections.length + 1), anchor: m[2] });
+  }
+  return sections;
+}
+
+function parse(pages, params, v2) {
+  if (!params.get("page")) return apiError("missingparam", 'The "page" parameter must be set.');
+  const title = normalizeTitle(params.get("page"));
+  const { page, hops } = resolve(pages, title, params.has("redirects"));
+  if (!page) return apiError("missingtitle", "The page you specified doesn't exist.");
+  const props = (params.get("prop") || "text|revid|displaytitle|sections").split("|");
+  const out = { title: page.title, pageid: page.pageid };
+  if (hops.length) out.redirects = hops;
+  if (props.includes("revid")) out.revid = page.revid;
+  if (props.includes("displaytitle")) out.displaytitle = page.title;
+  // A redirect page without `redirects` renders as its redirect notice
+  const html = page.text ?? `<div class="mw-parser-output"><div class="redirectMsg"><p>Redirect to:</p><ul class="redirectText"><li>${page.redirect}</li></ul></div></div>`;
+  if (props.includes("text")) out.text = v2 ? html : { "*": html };
+  if (props.includes("sections")) out.sections = sectionsOf(html);
+  return { parse: out };
+}
+
+function categoryMembers(pages, params, result) {
+  const cmtitle = params.get("cmtitle");
+  if (!cmtitle) return apiError("missingparam", 'The "cmtitle" parameter must be set.');
+  const category = normalizeTitle(cmtitle.replace(/^Category\s*:/i, ""));
+  const members = [...pages.values()].filter((p) => p.categories.includes(category));
+  const limit = params.get("cmlimit") === "max" ? MAX_LIMIT : Math.min(Number(params.get("cmlimit")) || 10, MAX_LIMIT);
+  const start = Number((params.get("cmcontinue") || "").split("|").pop()) || 0;
+  result.query.categorymembers = members.slice(start, start + limit).map((p) => ({ pageid: p.pageid, ns: 0, title: p.title }));
+  if (start + limit < members.length) result.continue = { cmcontinue: `page|${start + limit}`, continue: "-||" };
+  return null;
+}
+
+function revisions(pages, params, result, v2) {
+  const follow = params.has("redirects");
+  const normalized = [];
+  const redirects = [];
+  const found = [];
+  for (const raw of (params.get("titles") || "").split("|").filter(Boolean)) {
+    const title = normalizeTitle(raw);
+    if (title !== raw) normalized.push({ from: raw, to: title });
+    const { page, hops } = resolve(pages, title, follow);
+    redirects.push(...hops);
+    const name = hops.length ? hops[hops.length - 1].to : title;
+    found.push(page ? { pageid: page.pageid, ns: 0, title: page.title, revisions: [{ revid: page.revid, parentid: 0 }] } : { ns: 0, title: name, missing: v2 ? true : "" });
+  }
+  if (normalized.length) result.query.normalized = normalized;
+  if (redirects.length) result.query.redirects = redirects;
+  // formatversion 1 keys pages by id, with negative ids for missing titles
+  result.query.pages = v2 ? found : Object.fromEntries(found.map((p, i) => [p.pageid ?? -(i + 1), p]));
+  return null;
+}
+
+function query(pages, params, v2) {
+  const result = { batchcomplete: v2 ? true : "", query: {} };
+  const list = params.get("list");
+  const prop = params.get("prop");
+  const meta = params.get("meta");
+  if (!list && !prop && !meta) return apiError("badparams", "No list, prop or meta module given.");
+  if (list && list !== "categorymembers") return apiError("badvalue", `Unrecognized value for parameter "list": ${list}.`);
+  if (prop && prop !== "revisions") return apiError("badvalue", `Unrecognized value for parameter "prop": ${prop}.`);
+  if (meta && meta !== "siteinfo") return apiError("badvalue", `Unrecognized value for parameter "meta": ${meta}.`);
+  if (list) {
+    const error = categoryMembers(pages, params, result);
+    if (error) return error;
+  }
+  if (prop) revisions(pages, params, result, v2);
+  if (meta) result.query.general = { sitename: "Wikisocion (fixtures)", generator: "wiki-stub", articlepath: "/en/index.php?title=$1" };
+  return result;
+}
+
+async function respond(fixtures, params) {
+  const { pages } = await loadFixtures(fixtures);
+  const v2 = params.get("formatversion") === "2";
+  const action = params.get("action");
+  if (action === "parse") return parse(pages, params, v2);
+  if (action === "query") return query(pages, params, v2);
+  return apiError("badvalue", `Unrecognized value for parameter "action": ${action || ""}.`);
+}
+
+// Request handler for node:http or Connect (Vite middleware). Only the query string is read;
+// answers are JSON with permissive CORS, as with origin=* on the real API.
+export function createWikiStub({ fixtures = process.env.WIKISOCION_STUB_FIXTURES || DEFAULT_FIXTURES } = {}) {
+  return async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    if (req.method === "OPTIONS") {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    let status = 200;
+    let body;
+    try {
+      body = await respond(fixtures, new URL(req.url, "http://localhost").searchParams);
+    } catch (e) {
+      status = 500;
+      body = apiError("internal_api_error", e.message);
+    }
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(body));
+  };
+}
+
+// Vite plugin: the stub at STUB_PATH on the dev server only
+export function wikiStubPlugin(options) {
+  return {
+    name: "wiki-stub",
+    apply: "serve",
+    configureServer(server) {
+      server.middlewares.use(STUB_PATH, createWikiStub(options));
+    },
+  };
+}
+
+function option(args, name) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main(args) {
+  const port = Number(option(args, "port") || process.env.WIKISOCION_STUB_PORT || DEFAULT_PORT);
+  const fixtures = path.resolve(option(args, "fixtures") || process.env.WIKISOCION_STUB_FIXTURES || DEFAULT_FIXTURES);
+  const { pages } = await loadFixtures(fixtures);
+  const handle = createWikiStub({ fixtures });
+  const server = http.createServer((req, res) => {
+    if (new URL(req.url, "http://localhost").pathname.endsWith("/api.php")) return handle(req, res);
+    res.statusCode = 404;
+    res.end("Not found; the API is at /api.php\n");
+  });
+  server.listen(port, () => {
+    console.log(`Wiki stub: ${pages.size} page(s) from ${path.relative(process.cwd(), fixtures) || "."}`);
+    console.log(`API at http://localhost:${port}/api.php`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === url.pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(e.message);
+    process.exit(2);
+  });
+}
@@ -0,0 +1,158 @@
+// Minimal wikitext -> HTML renderer for the dump source (scrape --source=dump).
+// Covers what the scraper reads from a page: headings with anchors, paragraphs, lists, links
+// and emphasis. Templates, tables, references, files and categories are dropped; the output
+// mimics action=parse HTML closely enough for the same extractors to work on it.
+
+const PAGE_PATH = "/en/index.php?title=";
+// Links into these namespaces are not rendered as text
+const HIDDEN_LINKS = /^:?(file|image|media|category):/i;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Removes every balanced `open`...`close` block, including nested ones ({{...}}, {|...|}).
+function stripBlocks(text, open, close) {
+  let out = "";
+  let depth = 0;
+  for (let i = 0; i < text.length; ) {
+    if (text.startsWith(open, i)) {
+      depth++;
+      i += open.length;
+    } else if (depth && text.startsWith(close, i)) {
+      depth--;
+      i += close.length;
+    } else {
+      if (!depth) out += text[i];
+      i++;
+    }
+  }
+  return out;
+}
+
+// [[File:...|caption with [[links]]]] spans nested brackets; drop those links whole.
+function stripHiddenLinks(text) {
+  let out = "";
+  for (let i = 0; i < text.length; ) {
+    const start = text.indexOf("[[", i);
+    if (start === -1) {
+      out += text.slice(i);
+      break;
+    }
+    out += text.slice(i, start);
+    let depth = 0;
+    let end = start;
+    for (; end < text.length; end++) {
+      if (text.startsWith("[[", end)) {
+        depth++;
+        end++;
+      } else if (text.startsWith("]]", end)) {
+        depth--;
+        end++;
+        if (!depth) break;
+      }
+    }
+    const link = text.slice(start, end + 1);
+    if (!HIDDEN_LINKS.test(link.slice(2))) out += link;
+    i = end + 1;
+  }
+  return out;
+}
+
+function normalizeTarget(target) {
+  const t = target.replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+// Links and emphasis on one line of already-escaped text
+function renderInline(text) {
+  return text
+    .replace(/\[\[([^\]|#]*)(#[^\]|]*)?(?:\|([^\]]*))?\]\]([a-z]*)/g, (_, target, fragment, label, trail) => {
+      const title = normalizeTarget(target);
+      const shown = (label || target + (fragment && !target ? fragment.slice(1) : "")) + trail;
+      if (!title) return shown;
+      const href = `${PAGE_PATH}${encodeURIComponent(title.replace(/ /g, "_"))}${fragment || ""}`;
+      return `<a href="${href}" title="${title}">${shown}</a>`;
+    })
+    .replace(/\[(https?:\/\/[^\s\]]+)(?:\s+([^\]]*))?\]/g, (_, url, label) => `<a class="external" href="${url}">${label || url}</a>`)
+    .replace(/'''''(.+?)'''''/g, "<b><i>$1</i></b>")
+    .replace(/'''(.+?)'''/g, "<b>$1</b>")
+    .replace(/''(.+?)''/g, "<i>$1</i>");
+}
+
+// MediaWiki anchor for a heading: spaces become underscores
+function anchorFor(heading) {
+  return heading.replace(/<[^>]+>/g, "").trim().replace(/\s+/g, "_");
+}
+
+const LIST_TAGS = { "*": ["ul", "li"], "#": ["ol", "li"], ";": ["dl", "dt"], ":": ["dl", "dd"] };
+
+export function renderWikitext(wikitext) {
+  let text = String(wikitext || "").replace(/\r\n?/g, "\n");
+  text = text
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<ref[^>]*\/>/gi, "")
+    .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, "")
+    .replace(/<references[^>]*\/?>/gi, "")
+    .replace(/__[A-Z]+__/g, "");
+  text = stripBlocks(text, "{{", "}}");
+  text = stripBlocks(text, "{|", "|}");
+  text = stripHiddenLinks(text);
+  // Inline HTML keeps only its text; <br> becomes a space
+  text = text.replace(/<br\s*\/?>/gi, " ").replace(/<\/?[a-z][^>]*>/gi, "");
+
+  const html = [];
+  let paragraph = [];
+  let lists = []; // open list prefix, one character per level
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${paragraph.join(" ")}</p>`);
+    paragraph = [];
+  };
+  const closeLists = (keep) => {
+    while (lists.length > keep) {
+      const [container, item] = LIST_TAGS[lists.pop()];
+      html.push(`</${item}></${container}>`);
+    }
+  };
+
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    const heading = /^(={2,6})\s*(.+?)\s*\1$/.exec(line);
+    const list = /^([*#;:]+)\s*(.*)$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      closeLists(0);
+      const level = heading[1].length;
+      const title = renderInline(escapeHtml(heading[2]));
+      html.push(`<h${level} id="${escapeHtml(anchorFor(heading[2]))}">${title}</h${level}>`);
+    } else if (list) {
+      flushParagraph();
+      const prefix = list[1];
+      const container = (ch) => LIST_TAGS[ch][0];
+      let common = 0;
+      while (common < lists.length && common < prefix.length && container(lists[common]) === container(prefix[common])) common++;
+      closeLists(common);
+      // Same depth as an open list: next item in it (";" then ":" share one <dl>)
+      if (common === prefix.length) {
+        const last = prefix[common - 1];
+        html.push(`</${LIST_TAGS[lists[common - 1]][1]}><${LIST_TAGS[last][1]}>`);
+        lists[common - 1] = last;
+      }
+      for (const ch of prefix.slice(lists.length)) {
+        const [container, item] = LIST_TAGS[ch];
+        html.push(`<${container}><${item}>`);
+        lists.push(ch);
+      }
+      html.push(renderInline(escapeHtml(list[2])));
+    } else if (!line) {
+      flushParagraph();
+      closeLists(0);
+    } else {
+      closeLists(0);
+      paragraph.push(renderInline(escapeHtml(line)));
+    }
+  }
+  flushParagraph();
+  closeLists(0);
+  return `<div class="mw-parser-output">${html.join("\n")}</div>`;
+}
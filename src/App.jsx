@@ -14,7 +14,18 @@ import {
   Moon,
   Sun,
 } from "lucide-react";
-import { fetchLiveWikisocionData, fetchLocalData } from "./data/loaders";
+import anime from "animejs";
+import { fetchInitialData, refreshData, fetchChangelog, fetchCorpusIndex, fetchArticle } from "./data/loaders";
+import { providerSettings, providerChain, listProviders, createProvider, saveProviderSettings, clearProviderSettings } from "./data/providers";
+import { formatIssue } from "./core/validate";
+import { computeModelA, MODEL_A_BLOCKS } from "./core/socionics";
+import { RELATION_KINDS, getRelation, describeRelation, partnersOf } from "./core/relations";
+import { DICHOTOMIES, reininFor, matchesReinin } from "./core/reinin";
+import { GROUP_FAMILIES, getGroup, groupsFor } from "./core/groups";
+import { SUBTYPE_SYSTEMS, subtypesFor, parseTypeRef, typeRef } from "./core/subtypes";
+import { mergeContent } from "./core/content";
+import { sourcesFor, sourceLabel } from "./core/provenance";
+import { normalizeTitle, wikiPath, titleFromWikiPath, wikiTarget } from "./core/wiki";
 
 /**
  * Wikisocion — Swiss-inspired MVP (single-file React)
@@ -27,7 +38,10 @@ import { fetchLiveWikisocionData, fetchLocalData } from "./data/loaders";
  */
 
 // --- Data loading hook ---
-function useData() {
+// Renders the first provider of the chain (or its cached refresh) at once, then refreshes from
+// the later providers in the background (src/data/providers.js). `update` summarizes what the
+// refresh changed until the reader dismisses it. A new `settings` object reloads everything.
+function useData(settings) {
   const [data, setData] = useState({
     types: null,
     glossary: null,
@@ -36,55 +50,73 @@ function useData() {
     search: null,
     error: null,
   });
+  const [update, setUpdate] = useState(null);
   useEffect(() => {
     let cancelled = false;
+    const chain = providerChain(settings);
+    setUpdate(null);
     async function load() {
+      let current = null;
+      let initialError = null;
       try {
-        const live = await fetchLiveWikisocionData();
+        current = await fetchInitialData(chain);
         if (cancelled) return;
-        setData({ ...live, error: null });
-      } catch (liveError) {
-        console.warn("Live data fetch failed", liveError);
-        try {
-          const local = await fetchLocalData();
-          if (cancelled) return;
-          setData({ ...local, error: null });
-        } catch (localError) {
-          if (cancelled) return;
-          setData({
-            types: null,
-            glossary: null,
-            relations: null,
-            meta: null,
-            search: null,
-            error: `Live data unavailable (${liveError.message}). Fallback failed (${localError.message}).`,
-          });
+        setData({ ...current, error: null });
+      } catch (err) {
+        initialError = err;
+        console.warn("Cached and bundled data unavailable", err);
+      }
+      try {
+        const fresh = await refreshData(chain, current);
+        if (cancelled) return;
+        if (!fresh) {
+          if (!current) throw initialError;
+          return;
         }
+        if (!current || fresh.update) setData({ ...fresh.data, error: null });
+        if (current && fresh.update) setUpdate(fresh.update);
+      } catch (refreshError) {
+        console.warn("Data refresh failed", refreshError);
+        if (cancelled || current) return;
+        setData({
+          types: null,
+          glossary: null,
+          relations: null,
+          meta: null,
+          search: null,
+          error:
+            refreshError === initialError
+              ? `Data unavailable (${initialError.message}).`
+              : `Refresh unavailable (${refreshError.message}). Fallback failed (${initialError.message}).`,
+        });
       }
     }
     load();
     return () => {
       cancelled = true;
     };
-  }, []);
-  return data;
+  }, [settings]);
+  return { ...data, update, dismissUpdate: () => setUpdate(null) };
 }
 
 // Utility
 const cls = (...s) => s.filter(Boolean).join(" ");
 
+// Sorted "A-B" keys for every dual pair, from the relation engine
+function dualKeys(types) {
+  return new Set(types.map((t) => [t.code, ...partnersOf(t.code, "Duality")].sort().join("-")));
+}
+
 // --- Dev smoke tests (console only) ---
 function runDevTests(types, glossary, relations) {
   try {
     console.assert(types.length === 16, "Expected 16 types");
     
-    // All dual keys are valid, sorted pairs
-    const DUALS = new Set(relations.filter(r=>r.name==="Duality").map(r => [r.a, r.b].sort().join("-")));
-    DUALS.forEach((k) => {
-      const parts = k.split("-");
-      console.assert(parts.length === 2, `Malformed dual key: ${k}`);
-      console.assert(parts.slice().sort().join("-") === k, `Dual key not sorted: ${k}`);
+    // One relations record per relation kind
+    RELATION_KINDS.forEach(({ kind }) => {
+      console.assert(relations.some((r) => r.name === kind), `Missing relation record: ${kind}`);
     });
+    const DUALS = dualKeys(types);
     
     // Round-trip dual pairs (order agnostic)
     const key = (a, b) => [a, b].sort().join("-");
@@ -101,6 +133,9 @@ function runDevTests(types, glossary, relations) {
     pairs.forEach(([a, b]) => {
       console.assert(DUALS.has(key(a, b)), `Expected dual mapping for ${a}-${b}`);
     });
+    // Same elements with vertness flipped (ILE->ILI) vs. swapped order (ILE->LIE)
+    console.assert(getRelation("ILE", "ILI").kind === "Extinguishment", "ILE-ILI should be Extinguishment");
+    console.assert(getRelation("ILE", "LIE").kind === "Quasi-identity", "ILE-LIE should be Quasi-identity");
     
     // byCode integrity
     const byCode = Object.fromEntries(types.map((t) => [t.code, t]));
@@ -142,9 +177,13 @@ function hashToRoute(hash) {
     case "functions":
     case "library":
     case "about":
+    case "groups":
+    case "changelog":
+    case "settings":
       return { name: root };
     case "type":
-      return a ? { name: "type", code: a.toUpperCase() } : { name: "types" };
+      // Optional subtype suffix: /type/LII-Ne, /type/LII-D
+      return a ? { name: "type", ...parseTypeRef(a) } : { name: "types" };
     case "glossary":
       return { name: "glossary", focus: a };
     case "compare":
@@ -152,6 +191,12 @@ function hashToRoute(hash) {
       return { name: "compare", a: a ? a.toUpperCase() : undefined, b: b ? b.toUpperCase() : undefined };
     case "sheet":
       return { name: "sheet" };
+    case "group":
+      // /group/<family>/<group>
+      return a && b ? { name: "group", family: a, id: b } : { name: "groups" };
+    case "wiki":
+      // /wiki lists the corpus; /wiki/<Title_with_underscores> opens an article
+      return a ? { name: "wiki", title: titleFromWikiPath(a) } : { name: "wiki" };
     default:
       return { name: "home" };
   }
@@ -162,7 +207,7 @@ function routeToHash(route) {
     case "home": return "#/";
     case "start": return "#/start";
     case "types": return "#/types";
-    case "type": return route.code ? `#/type/${route.code}` : "#/types";
+    case "type": return route.code ? `#/type/${typeRef(route.code, route.subtype)}` : "#/types";
     case "relations": return "#/relations";
     case "theory": return "#/theory";
     case "functions": return "#/functions";
@@ -171,6 +216,11 @@ function routeToHash(route) {
     case "about": return "#/about";
     case "compare": return route.a && route.b ? `#/compare/${route.a}/${route.b}` : "#/compare";
     case "sheet": return "#/sheet";
+    case "groups": return "#/groups";
+    case "changelog": return "#/changelog";
+    case "settings": return "#/settings";
+    case "wiki": return route.title ? `#/wiki/${wikiPath(route.title)}` : "#/wiki";
+    case "group": return route.family && route.id ? `#/group/${route.family}/${route.id}` : "#/groups";
     default: return "#/";
   }
 }
@@ -183,7 +233,8 @@ export default function WikisocionMVP() {
   const [altAccent, setAltAccent] = useState(false);
   const searchRef = useRef(null);
 
-  const { types, glossary, relations, meta, search, error } = useData();
+  const [dataSettings, setDataSettings] = useState(() => providerSettings());
+  const { types, glossary, relations, meta, search, error, update, dismissUpdate } = useData(dataSettings);
   
   // Initialize dark mode based on system preference or localStorage
   useEffect(() => {
@@ -272,7 +323,7 @@ export default function WikisocionMVP() {
     else if (route.name === 'type') {
       const byCode = Object.fromEntries(types.map(t => [t.code, t]));
       const t = route.code && byCode[route.code];
-      title = t ? `${t.code} — ${t.fullName} (${t.alias}) | Wikisocion` : 'Type — Wikisocion';
+      title = t ? `${typeRef(t.code, route.subtype)} — ${t.fullName} (${t.alias}) | Wikisocion` : 'Type — Wikisocion';
     }
     else if (route.name === 'relations') title = 'Relations — Wikisocion';
     else if (route.name === 'glossary') title = route.focus ? `Glossary: ${route.focus} — Wikisocion` : 'Glossary — Wikisocion';
@@ -285,6 +336,14 @@ export default function WikisocionMVP() {
     else if (route.name === 'library') title = 'Library — Wikisocion';
     else if (route.name === 'about') title = 'About — Wikisocion';
     else if (route.name === 'sheet') title = 'Print Sheet — Wikisocion';
+    else if (route.name === 'groups') title = 'Small Groups — Wikisocion';
+    else if (route.name === 'changelog') title = 'Changelog — Wikisocion';
+    else if (route.name === 'settings') title = 'Data sources — Wikisocion';
+    else if (route.name === 'wiki') title = route.title ? `${route.title} — Wiki — Wikisocion` : 'Wiki — Wikisocion';
+    else if (route.name === 'group') {
+      const found = getGroup(route.family, route.id);
+      title = found ? `${found.group.name} (${found.family.name}) — Wikisocion` : 'Small Groups — Wikisocion';
+    }
     document.title = title;
   }, [route, types]);
   
@@ -316,7 +375,25 @@ export default function WikisocionMVP() {
   
   // Show error state
   if (error) {
-    return <div className={cls("min-h-screen flex items-center justify-center", darkMode ? "bg-gray-900" : "bg-white")}><div className="p-6 text-red-700">Data load failed: {error}</div></div>;
+    return (
+      <div className={cls("min-h-screen flex items-center justify-center", darkMode ? "bg-gray-900" : "bg-white")}>
+        <div className="p-6 text-red-700">
+          Data load failed: {error}
+          {/* Saved data sources can point at a dead backend; offer the way back */}
+          {dataSettings.origin === "settings" && (
+            <button
+              onClick={() => {
+                clearProviderSettings();
+                setDataSettings(providerSettings());
+              }}
+              className="btn btn-secondary mt-4 block"
+            >
+              Reset data sources
+            </button>
+          )}
+        </div>
+      </div>
+    );
   }
   
   // Show loading state
@@ -326,7 +403,7 @@ export default function WikisocionMVP() {
   
   // build helpers the old constants provided
   const byCode = Object.fromEntries(types.map(t => [t.code, t]));
-  const DUALS = new Set(relations.filter(r=>r.name==="Duality").map(r => [r.a, r.b].sort().join("-")));
+  const DUALS = dualKeys(types);
   return (
     <div className={cls("min-h-screen transition-colors", darkMode ? "dark-surface" : "light-surface")}>
       <a
@@ -354,24 +431,112 @@ export default function WikisocionMVP() {
       />
       <TickerBar darkMode={darkMode} />
       <main id="content" className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 pb-24">
-        {route.name === "home" && <Home onNav={navigate} types={types} relations={relations} glossary={glossary} darkMode={darkMode} />}
-        {route.name === "start" && <StartHere onNav={navigate} darkMode={darkMode} types={types} glossary={glossary} />}
-        {route.name === "types" && <TypesIndex types={types} onOpen={(code) => navigate("type", { code })} />}
-        {route.name === "type" && <TypeDetail types={types} duals={DUALS} code={route.code} onBack={() => navigate("types")} darkMode={darkMode} />}
-        {route.name === "relations" && <Relations types={types} duals={DUALS} relations={relations} onNav={navigate} darkMode={darkMode} />}
-        {route.name === "theory" && <Theory onNav={navigate} darkMode={darkMode} />}
-        {route.name === "functions" && <FunctionExplorer glossary={glossary} types={types} darkMode={darkMode} />}
-        {route.name === "compare" && <TypeCompare types={types} duals={DUALS} darkMode={darkMode} initialA={route.a} initialB={route.b} onNav={navigate} />}
-        {route.name === "glossary" && <Glossary glossary={glossary} focus={route.focus} darkMode={darkMode} />}
-        {route.name === "library" && <Library darkMode={darkMode} />}
-        {route.name === "about" && <About darkMode={darkMode} />}
-        {route.name === "sheet" && <PrintSheet types={types} relations={relations} onNav={navigate} darkMode={darkMode} />}
+        <DataBanner validation={meta && meta.validation} darkMode={darkMode} />
+        <DataUpdateNotice update={update} onDismiss={dismissUpdate} darkMode={darkMode} />
+        <ViewBoundary key={routeToHash(route)} onHome={() => navigate("home")} darkMode={darkMode}>
+          {route.name === "home" && <Home onNav={navigate} types={types} relations={relations} glossary={glossary} darkMode={darkMode} />}
+          {route.name === "start" && <StartHere onNav={navigate} darkMode={darkMode} types={types} glossary={glossary} />}
+          {route.name === "types" && <TypesIndex types={types} onOpen={(code) => navigate("type", { code })} />}
+          {route.name === "type" && <TypeDetail types={types} status={meta && meta.typeStatus && meta.typeStatus[route.code]} duals={DUALS} code={route.code} subtype={route.subtype} onSubtype={(subtype) => navigate("type", { code: route.code, subtype })} onBack={() => navigate("types")} darkMode={darkMode} />}
+          {route.name === "relations" && <Relations types={types} relations={relations} onNav={navigate} darkMode={darkMode} />}
+          {route.name === "theory" && <Theory onNav={navigate} darkMode={darkMode} />}
+          {route.name === "functions" && <FunctionExplorer glossary={glossary} types={types} darkMode={darkMode} />}
+          {route.name === "compare" && <TypeCompare types={types} relations={relations} darkMode={darkMode} initialA={route.a} initialB={route.b} onNav={navigate} />}
+          {route.name === "glossary" && <Glossary glossary={glossary} focus={route.focus} darkMode={darkMode} />}
+          {route.name === "library" && <Library darkMode={darkMode} />}
+          {route.name === "about" && <About darkMode={darkMode} />}
+          {route.name === "changelog" && <Changelog types={types} onNav={navigate} darkMode={darkMode} />}
+          {route.name === "settings" && <DataSettings settings={dataSettings} onSave={setDataSettings} meta={meta} darkMode={darkMode} />}
+          {route.name === "wiki" && !route.title && <WikiIndex darkMode={darkMode} />}
+          {route.name === "wiki" && route.title && <WikiReader title={route.title} darkMode={darkMode} />}
+          {route.name === "sheet" && <PrintSheet types={types} onNav={navigate} darkMode={darkMode} />}
+          {route.name === "groups" && <SmallGroups onNav={navigate} darkMode={darkMode} />}
+          {route.name === "group" && <GroupDetail types={types} family={route.family} id={route.id} onNav={navigate} darkMode={darkMode} />}
+        </ViewBoundary>
       </main>
       <SiteFooter darkMode={darkMode} generatedAt={meta && meta.generatedAt} />
     </div>
   );
 }
 
+// --- Data health ---
+// Shown when loaded data failed validation; lists each record/field issue on demand.
+function DataBanner({ validation, darkMode }) {
+  if (!validation || validation.ok) return null;
+  const { issues, degraded, repaired } = validation;
+  return (
+    <div role="status" className={cls("mt-6 card p-4 border-l-4", darkMode ? "text-gray-200" : "text-black")} style={{ borderLeftColor: "var(--accent)" }}>
+      <div className="font-semibold">
+        {degraded ? "Some data is damaged; showing what could be recovered." : "Some data does not match the type model."}
+      </div>
+      <p className={cls("mt-1 text-sm", darkMode ? "text-gray-400" : "text-neutral-700")}>
+        {issues.length} validation issue{issues.length === 1 ? "" : "s"}
+        {repaired && repaired.length ? `; rebuilt from type codes: ${repaired.join(", ")}` : ""}.
+      </p>
+      <details className="mt-2 text-xs">
+        <summary className="cursor-pointer uppercase tracking-[0.2em]">Details</summary>
+        <ul className="mt-2 space-y-1 font-mono">
+          {issues.slice(0, 50).map((i, idx) => (
+            <li key={idx}>{formatIssue(i)}</li>
+          ))}
+          {issues.length > 50 && <li>… {issues.length - 50} more (see console)</li>}
+        </ul>
+      </details>
+    </div>
+  );
+}
+
+// Shown after a background refresh brought in data that differs from what was on screen.
+function DataUpdateNotice({ update, onDismiss, darkMode }) {
+  if (!update) return null;
+  const { source, records, added, removed, changed, revisions } = update;
+  const parts = [];
+  if (records) parts.push(`${records} record${records === 1 ? "" : "s"} (${added} added, ${removed} removed, ${changed} changed)`);
+  if (revisions) parts.push(`${revisions} new page revision${revisions === 1 ? "" : "s"}`);
+  return (
+    <div role="status" className={cls("mt-6 card p-3 flex items-center justify-between gap-4 text-sm", darkMode ? "text-gray-200" : "text-black")}>
+      <span>
+        <span className="font-semibold">Data updated</span> from {source}: {parts.join("; ")}.
+      </span>
+      <button onClick={onDismiss} className="btn btn-secondary text-xs" aria-label="Dismiss data update notice">Dismiss</button>
+    </div>
+  );
+}
+
+// Catches render errors in the current view so one bad record can't blank the page.
+class ViewBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error("View failed to render", error, info && info.componentStack);
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+    const { onHome, darkMode } = this.props;
+    return (
+      <section className="pt-10">
+        <div className="card p-6">
+          <h1 className={cls("text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>This view could not be displayed</h1>
+          <p className={cls("mt-2 text-sm", darkMode ? "text-gray-400" : "text-neutral-700")}>
+            The data behind it is likely malformed. Other sections may still work.
+          </p>
+          <pre className="mt-3 text-xs whitespace-pre-wrap">{String(error.message || error)}</pre>
+          <button onClick={onHome} className="btn btn-secondary mt-4">Back to home</button>
+        </div>
+      </section>
+    );
+  }
+}
+
 // --- Top bar ---
 function TopBar({ onNav, query, setQuery, searchRef, onResult, results, darkMode, setDarkMode, gridOn, setGridOn, altAccent, setAltAccent }) {
   const [selected, setSelected] = useState(0);
@@ -435,7 +600,9 @@ function TopBar({ onNav, query, setQuery, searchRef, onResult, results, darkMode
             ["Start", "start"],
             ["Types", "types"],
             ["Compare", "compare"],
+            ["Groups", "groups"],
             ["Glossary", "glossary"],
+            ["Wiki", "wiki"],
             ["Sheet", "sheet"],
           ].map(([label, route]) => (
             <button
@@ -562,7 +729,8 @@ function RailHeading({ label, title, description }) {
 
 // --- Pages ---
 function Home({ onNav, types, relations, glossary, darkMode }) {
-  const relationCount = relations ? relations.length : 0;
+  // Supervision and Benefit count once per direction: sixteen relations in all
+  const relationCount = relations ? relations.reduce((n, r) => n + (r.ordered ? 2 : 1), 0) : 0;
   const glossaryCount = glossary ? glossary.length : 0;
   return (
     <section className="pt-12">
@@ -687,12 +855,15 @@ function HomeTile({ title, subtitle, icon, onClick }) {
   );
 }
 
-function PrintSheet({ types, relations, onNav }) {
-  const dualPairs = relations || [];
+function PrintSheet({ types, onNav }) {
+  const dualPairs = Array.from(dualKeys(types)).map((k) => {
+    const [a, b] = k.split("-");
+    return { a, b };
+  });
   return (
     <section className="pt-8 print-sheet">
       <div className="flex flex-wrap items-center justify-between gap-3 no-print">
-        <RailHeading label="Sheet" title="One-page reference" description="Printable grid of types plus duality pairs." />
+        <RailHeading label="Sheet" title="One-page reference" description="Printable grid of types with Model A, plus duality pairs." />
         <div className="flex gap-2">
           <button onClick={() => onNav("home")} className="btn btn-secondary">Back</button>
           <button onClick={() => window.print()} className="btn btn-primary">Print / PDF</button>
@@ -710,11 +881,14 @@ function PrintSheet({ types, relations, onNav }) {
 
         <div className="mt-6 grid lg:grid-cols-2 gap-6">
           <div>
-            <div className="text-[11px] uppercase tracking-[0.2em]">Type grid</div>
+            <div className="text-[11px] uppercase tracking-[0.2em]">Type grid · Model A 1–8</div>
             <div className="print-grid mt-3">
               {types.map((t) => (
                 <div key={t.code} className="print-row">
                   <span className="text-xl font-mono">{t.code}</span>
+                  <span className="text-[11px] font-mono tracking-[0.08em]">
+                    {computeModelA(t.leading, t.creative).map((p) => p.element).join(" ")}
+                  </span>
                   <span className="text-sm uppercase tracking-[0.16em]">{t.alias}</span>
                 </div>
               ))}
@@ -750,15 +924,20 @@ function PrintSheet({ types, relations, onNav }) {
 function TypesIndex({ types, onOpen }) {
   const [view, setView] = useState("grid");
   const [filters, setFilters] = useState({ quadra: "All", temperament: "All", leading: "All" });
+  const [reinin, setReinin] = useState({}); // dichotomy id -> selected pole
   
   const filtered = useMemo(() => {
     return types.filter(
       (t) =>
         (filters.quadra === "All" || t.quadra === filters.quadra) &&
         (filters.temperament === "All" || t.temperament === filters.temperament) &&
-        (filters.leading === "All" || t.leading === filters.leading)
+        (filters.leading === "All" || t.leading === filters.leading) &&
+        matchesReinin(t.code, reinin)
     );
-  }, [filters, types]);
+  }, [filters, reinin, types]);
+
+  const togglePole = (id, pole) => setReinin((r) => ({ ...r, [id]: r[id] === pole ? null : pole }));
+  const activeReinin = Object.values(reinin).filter(Boolean).length;
   
   return (
     <section className="pt-10">
@@ -812,6 +991,37 @@ function TypesIndex({ types, onOpen }) {
         </div>
       </div>
 
+      <details className="mt-6 card p-4">
+        <summary className="cursor-pointer select-none flex flex-wrap items-center justify-between gap-2 text-[11px] uppercase tracking-[0.2em]">
+          <span>Reinin dichotomies{activeReinin ? ` · ${activeReinin} active` : ""}</span>
+          <span className="label-pill" aria-live="polite">{filtered.length} of {types.length} types</span>
+        </summary>
+        <div className="mt-4 grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {DICHOTOMIES.map((d) => (
+            <div key={d.id} className="flex items-center justify-between gap-2">
+              <span className="text-xs text-neutral-600 dark:text-gray-400">{d.poles.join(" / ")}</span>
+              <div className="inline-flex border-2 border-[var(--ink)]">
+                {d.poles.map((pole) => (
+                  <button
+                    key={pole}
+                    onClick={() => togglePole(d.id, pole)}
+                    aria-pressed={reinin[d.id] === pole}
+                    className={cls("px-2 py-1 text-[11px] uppercase tracking-[0.12em]", reinin[d.id] === pole && "bg-[var(--accent)] text-white")}
+                  >
+                    {pole}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        {activeReinin > 0 && (
+          <button onClick={() => setReinin({})} className="mt-4 btn btn-ghost border-2 border-[var(--ink)] text-xs">
+            Clear dichotomies
+          </button>
+        )}
+      </details>
+
       {view === "grid" ? (
         <div className="mt-6 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
           {filtered.map((t) => (
@@ -862,9 +1072,8 @@ function TypeCard({ type, onOpen }) {
   const rootRef = useRef(null);
   useEffect(() => {
     const reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    const a = window.anime;
-    if (reduce || !a || !rootRef.current) return;
-    a({
+    if (reduce || !rootRef.current) return;
+    anime({
       targets: rootRef.current,
       opacity: [0, 1],
       translateY: [6, 0],
@@ -928,388 +1137,44 @@ function TypeCard({ type, onOpen }) {
   );
 }
 
-function TypeDetail({ types, duals, code, onBack, darkMode }) {
+// `status` is this type's entry in meta.typeStatus (live bundles only); anything but "live"
+// means the page failed to load and older content is shown.
+function TypeDetail({ types, status, duals, code, subtype, onSubtype, onBack, darkMode }) {
   const byCode = Object.fromEntries(types.map((t) => [t.code, t]));
   const t = byCode[code] ?? types[0];
   
-  // Extended content for each type
-  const typeContent = {
-    "ESE": {
-      summary: "The ESE (ESFj) thrives on emotional connection and creating a cheerful atmosphere. Their dominant extroverted feeling makes them natural hosts who quickly sense group mood and steer it with humor, stories and enthusiastic gestures. Creative introverted sensing enables them to arrange comfortable settings, meeting people's tastes and ensuring physical harmony. They generally avoid impersonal efficiency discussions and long-term planning, focusing instead on the present emotional climate. Because of their emphasis on harmony, they may overlook practical matters and can be late or disorganized when confronted with schedules and tasks.",
-      characteristics: {
-        strengths: "Engaging communicators who use humor, anecdotes and expressive energy to motivate others. Skilled at arranging events and attending to others' comfort and tastes.",
-        challenges: "Dislike routine tasks and may neglect planning or punctuality; can misjudge efficiency and ignore facts if they conflict with emotional goals."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Fe", description: "Generates enthusiasm and shapes emotional atmosphere" },
-        { position: "2 (Creative)", element: "Si", description: "Creates comfortable settings and adjusts to others' tastes" },
-        { position: "3 (Role)", element: "Te", description: "Tries to be efficient but often finds practical details tiresome" },
-        { position: "4 (Vulnerable)", element: "Ni", description: "Dislikes long-term forecasts and may be late due to poor time estimation" },
-        { position: "5 (Suggestive)", element: "Ti", description: "Looks to others for clear logic and structuring of information" },
-        { position: "6 (Mobilizing)", element: "Ne", description: "Energized by novel ideas and possibilities when presented by others" },
-        { position: "7 (Ignoring)", element: "Fi", description: "May overlook personal values when focused on group harmony" },
-        { position: "8 (Demonstrative)", element: "Se", description: "Can assert themselves strongly when needed to maintain order but prefers warmth" }
-      ],
-      interaction: {
-        communication: "Charismatic and lively; uses anecdotes, humor and expressive gestures to keep conversations engaging",
-        work: "Prefers group activities and plans events around people's comfort; may disregard efficiency and procrastinate if tasks seem dull",
-        decision: "Chooses actions based on the emotional effect on others rather than detached logic; avoids cold efficiency debates"
-      },
-      nuances: "ESEs often view the world through the lens of emotional atmosphere and may assume present circumstances will persist, leading to poor time management. They can become impatient with people who are overly technical or factual, preferring personal stories and emotions."
-    },
-    "EII": {
-      summary: "EIIs are idealistic advisors who strive to live up to their ethical standards and help others do the same. Their dominant introverted feeling tunes them to the psychological atmosphere, valuing deep emotional bonds and treating people with respect. Creative extroverted intuition enables them to see potential in people's inner makeup and guide them towards ideals. They struggle with systems and abstract logic, believing that not everything can be classified neatly. Forgetful of their surroundings and sometimes oblivious to romantic hints, they rely on practical people to evaluate productivity and help them relax.",
-      characteristics: {
-        strengths: "Supportive and insightful; encourage others to realise their potential; maintain a respectful and harmonious atmosphere.",
-        challenges: "Disorganised in physical surroundings; may miss obvious hints; need external evaluation of productivity; have poor time management and must be reminded to relax."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Fi", description: "Embodies ideals and evaluates inner feelings" },
-        { position: "2 (Creative)", element: "Ne", description: "Sees potential in people and pushes for self-improvement" },
-        { position: "3 (Role)", element: "Ti", description: "Attempts to use logic but believes not everything fits into neat categories" },
-        { position: "4 (Vulnerable)", element: "Se", description: "Often misses obvious cues and waits for things to happen" },
-        { position: "5 (Suggestive)", element: "Te", description: "Looks to others to evaluate productivity and provide factual guidance" },
-        { position: "6 (Mobilizing)", element: "Si", description: "Needs help relaxing and managing stress built up from striving to be exemplary" },
-        { position: "7 (Ignoring)", element: "Fe", description: "Can be lively briefly but prefers deep conversation; cannot hide true feelings" },
-        { position: "8 (Demonstrative)", element: "Ni", description: "Discusses trends and warns others but does not enforce decisions" }
-      ],
-      interaction: {
-        communication: "Gentle and principled; focuses on people's feelings and potential; dislikes superficial chit-chat",
-        work: "Encourages others to grow but may neglect practical arrangements; forgetful of objects and often disorganised",
-        decision: "Guided by personal ethics and the potential they see in others; seeks factual advice and reminders to rest"
-      },
-      nuances: "EIIs may be oblivious to romantic hints and neglect basic needs because they are absorbed in internal idealism. They can discuss trends and warn others but often lack the willpower to enact their own advice."
-    },
-    "ILE": {
-      summary: "The ILE (ENTp) is driven by extroverted intuition, constantly scanning for new possibilities and connections. They speak in generalizations and analogies and quickly jump from one idea to another. Their creative introverted logic structures these ideas into coherent systems and fuels a fascination with how things work. They may lose interest in routine tasks, question arbitrary rules and struggle to finish projects once the novelty wears off. Personal sentiments and direct orders feel alien to them, so they prefer to operate independently and on their own schedule.",
-      characteristics: {
-        strengths: "Explores connections between disparate topics, generates original analogies and hypotheses, questions assumptions and develops logical explanations.",
-        challenges: "May start more projects than they finish, ignore practical details or emotional considerations, and have difficulty following routines or orders."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Ne", description: "Constantly searches for new possibilities and connections" },
-        { position: "2 (Creative)", element: "Ti", description: "Structures ideas logically and questions rules" },
-        { position: "3 (Role)", element: "Fe", description: "Tries to use emotional expression in social situations but finds it tiring" },
-        { position: "4 (Vulnerable)", element: "Si", description: "Neglects routine sensory matters and physical comfort" },
-        { position: "5 (Suggestive)", element: "Te", description: "Seeks external facts and clear efficiency guidelines from others" },
-        { position: "6 (Mobilizing)", element: "Ni", description: "Needs help foreseeing long-term implications and sticking with a plan" },
-        { position: "7 (Ignoring)", element: "Fi", description: "Distrusts personal sentiments and may appear aloof" },
-        { position: "8 (Demonstrative)", element: "Se", description: "Can assert willpower in short bursts but finds direct confrontation distasteful" }
-      ],
-      interaction: {
-        communication: "Talks rapidly about abstract concepts, using analogies and generalizations; enjoys brainstorming and intellectual debates",
-        work: "Initiates multiple projects, often jumping between them; focuses on novelty and innovation; may struggle to complete routine tasks or follow schedules",
-        decision: "Bases decisions on logical analysis and potential outcomes rather than feelings; questions rules and procedures if they seem illogical"
-      },
-      nuances: "The site likens the ILE to an inventor or 'Don Quixote' archetype, emphasising their romantic idealism and pursuit of possibilities. Their disregard for practical details and emotional expression can lead others to perceive them as naive or insensitive."
-    },
-    "SEI": {
-      summary: "SEIs are warm, aesthetic individuals attuned to the atmosphere around them. Their dominant introverted sensing makes them sensitive to comfort and discomfort, and they intuitively know how to create cozy environments. The creative extroverted feeling gives them a knack for uplifting moods and mirroring the emotions of the group. Although they enjoy pleasant experiences and recreation, they may rush tasks, leading to stress, and they dislike discussing abstract concepts or long-term plans. Facts and technical details feel cold to them, so they prefer hands-on experience and rely on others for efficiency and strategic foresight.",
-      characteristics: {
-        strengths: "Skilled at creating a harmonious atmosphere; understand subtle sensory cues; use humor to keep interactions light.",
-        challenges: "Tend to avoid abstract theories; may rush tasks due to poor time estimation; distrust impersonal data and prefer personal experience over facts."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Si", description: "Sensitive to physical states and seeks comfort" },
-        { position: "2 (Creative)", element: "Fe", description: "Uplifts mood with humor and emotional expression" },
-        { position: "3 (Role)", element: "Ni", description: "Attempts to see patterns but feels stressed by long-term planning" },
-        { position: "4 (Vulnerable)", element: "Te", description: "Uncomfortable with efficiency and impersonal facts" },
-        { position: "5 (Suggestive)", element: "Ne", description: "Looks to others for new ideas and inspiration" },
-        { position: "6 (Mobilizing)", element: "Ti", description: "Seeks help structuring tasks logically" },
-        { position: "7 (Ignoring)", element: "Se", description: "Dislikes forceful behaviour and avoids confrontation" },
-        { position: "8 (Demonstrative)", element: "Fi", description: "Expresses personal feelings through art rather than words" }
-      ],
-      interaction: {
-        communication: "Friendly and expressive; uses humor and personal anecdotes to maintain a pleasant mood",
-        work: "Focuses on achieving a comfortable environment; may leave abstract planning to others; sometimes rushes tasks, which increases stress",
-        decision: "Prefers to rely on how something feels rather than impersonal statistics; asks friends for advice on unfamiliar ideas or efficiency"
-      },
-      nuances: "SEIs often express their feelings through artistic creations rather than direct verbal statements. They may procrastinate until deadlines force them to act, causing unnecessary stress."
-    },
-    "IEI": {
-      summary: "IEIs are dreamy visionaries who perceive subtle trends and patterns over time. Their dominant introverted intuition draws them to imagine future scenarios and contemplate the meaning of events. Creative extroverted feeling allows them to influence others' moods, blend seriousness with humor and energise groups with dramatic expressions. They may be messy and inconsistent in day-to-day tasks, struggling with practical efficiency and routine work. They admire strong willpower and clear systems, relying on others to provide structure and support when turning ideas into action.",
-      characteristics: {
-        strengths: "Adept at reading emotional undercurrents and inspiring others with imaginative stories; can mix melancholy and comedy to keep people engaged.",
-        challenges: "Dislike rote facts and efficiency; may misplace objects or neglect chores. Need help taking decisive action and maintaining systems."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Ni", description: "Perceives trends and contemplates meaning" },
-        { position: "2 (Creative)", element: "Fe", description: "Dramatizes emotions and energises groups" },
-        { position: "3 (Role)", element: "Si", description: "Attempts to manage physical needs but can be messy and inconsistent" },
-        { position: "4 (Vulnerable)", element: "Te", description: "Frustrated by detailed work and efficiency discussions" },
-        { position: "5 (Suggestive)", element: "Se", description: "Looks to others for willpower and decisive action" },
-        { position: "6 (Mobilizing)", element: "Ti", description: "Gains confidence from clear systems and logical explanations" },
-        { position: "7 (Ignoring)", element: "Ne", description: "Pays little attention to endless possibilities beyond the main storyline" },
-        { position: "8 (Demonstrative)", element: "Fi", description: "Maintains deep bonds quietly and retreats when stressed" }
-      ],
-      interaction: {
-        communication: "Speaks in metaphors and emotional narratives; mixes seriousness with playful humor",
-        work: "Prefers imaginative exploration over routine; may neglect chores and need external motivation to act",
-        decision: "Guided by intuition and group mood; seeks partners who offer practical structure and logical clarity"
-      },
-      nuances: "IEIs often appear dreamy or absent-minded because they prefer to live in their imaginations. They may blame themselves to ensure a good atmosphere and use melodrama to defuse tension."
-    },
-    "SLE": {
-      summary: "SLEs are decisive leaders who perceive power dynamics and act in the moment. With dominant extroverted sensing they recognise opportunities, take initiative and improvise effectively. Creative introverted logic gives them a sense of competence and an ability to gather useful information to achieve goals. They thrive on action and challenge but may overlook hidden potentials and can misjudge people due to weak intuition. They dislike being controlled by others and may reject advice or orders that do not align with their own goals.",
-      characteristics: {
-        strengths: "Natural leaders who act decisively; perceive social hierarchies and power; improvise and adapt to changing circumstances. Respect competence and are willing to learn from experts.",
-        challenges: "Overlook deeper meanings or future possibilities; misjudge others' motives; suspicious of broad questions and may hesitate when uncertain about the future."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Se", description: "Recognises power dynamics, acts decisively and improvises" },
-        { position: "2 (Creative)", element: "Ti", description: "Analyses situations and values competence" },
-        { position: "3 (Role)", element: "Ne", description: "Tries to consider possibilities but may overlook hidden potentials" },
-        { position: "4 (Vulnerable)", element: "Fi", description: "Uncomfortable with nuanced emotions; may misjudge sincerity" },
-        { position: "5 (Suggestive)", element: "Ni", description: "Looks to others for foresight and strategic vision" },
-        { position: "6 (Mobilizing)", element: "Fe", description: "Gains energy from enthusiastic encouragement and recognition" },
-        { position: "7 (Ignoring)", element: "Si", description: "Pays little attention to personal comfort unless it impacts performance" },
-        { position: "8 (Demonstrative)", element: "Te", description: "Can gather factual data and use it pragmatically, but sees it as secondary" }
-      ],
-      interaction: {
-        communication: "Direct and assertive; quick to voice opinions and challenge others; values competence over niceties",
-        work: "Learns through hands-on experience and immediate feedback; prefers action to theory; rejects unnecessary instructions",
-        decision: "Bases decisions on present realities and power structures; may overlook long-term possibilities or subtle interpersonal cues"
-      },
-      nuances: "SLEs may believe that their own judgment is superior and reject advice that does not align with their goals. Their suspicion of hidden motives can lead to misunderstanding and tension with more intuitive partners."
-    },
-    "ESI": {
-      summary: "ESIs are principled guardians who evaluate people by their loyalty and integrity. Their dominant introverted feeling compels them to uphold ethical standards and judge others accordingly. Creative extroverted sensing gives them the courage to act directly in defence of themselves and loved ones, though they may later regret impulsive actions. Abstract theories and speculative discussions feel irrelevant; they prefer concrete decisions and may become annoyed when inconsistencies in their logical justifications are pointed out. They appreciate knowledgeable people who provide practical guidance and admire foresight but worry about thinking too much.",
-      characteristics: {
-        strengths: "Strong moral compass; willingness to defend loved ones; expect honesty and responsibility from themselves and others.",
-        challenges: "Skeptical of abstract possibilities; demand evidence for claims; may punish others harshly; feel insecure about their own potential."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Fi", description: "Judges loyalty and integrity and upholds ethical principles" },
-        { position: "2 (Creative)", element: "Se", description: "Acts directly to accomplish goals and protect loved ones" },
-        { position: "3 (Role)", element: "Ti", description: "Tries to justify decisions logically but dislikes having inconsistencies pointed out" },
-        { position: "4 (Vulnerable)", element: "Ne", description: "Skeptical of abstract ideas and speculative possibilities" },
-        { position: "5 (Suggestive)", element: "Te", description: "Appreciates knowledgeable people and guidance on timing and efficiency" },
-        { position: "6 (Mobilizing)", element: "Ni", description: "Values foresight and outside evaluation of developing situations" },
-        { position: "7 (Ignoring)", element: "Fe", description: "Able to adopt a pleasant atmosphere when necessary but doesn't prioritise it" },
-        { position: "8 (Demonstrative)", element: "Si", description: "Maintains comfort and notices when others spoil the atmosphere" }
-      ],
-      interaction: {
-        communication: "Direct and principled; expresses approval or disapproval clearly and expects loyalty",
-        work: "Prefers concrete tasks and real-world application; discards theoretical possibilities without evidence",
-        decision: "Guided by personal ethics and the impact on loved ones; seeks practical guidance for timing and efficiency"
-      },
-      nuances: "ESIs may dismiss speculative questions and demand concrete evidence; they can appear self-righteous when defending ethical standards. They can integrate into a pleasant atmosphere but will not pretend to feel positive if they don't."
-    },
-    "SEE": {
-      summary: "SEEs are dynamic social coordinators who understand the influence of people and status. Their dominant extroverted sensing gives them assertiveness, awareness of social power and a willingness to push toward goals. Creative introverted feeling lets them influence personal feelings: they praise, shame or switch loyalties to align people with their objectives. They are motivated by exclusivity and tangible achievements and often view relationships in terms of strategic value. Abstract ideas and structured thinking may bore them; they prefer immediate results and look to others for long-term planning.",
-      characteristics: {
-        strengths: "Confidently takes initiative and draws attention; understands social hierarchies and uses emotions to influence others.",
-        challenges: "Suspicious of new ideas, cautious of unpredictability, and impatient with rules; may fear being judged for not following norms."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Se", description: "Seizes opportunities, asserts will and recognises power" },
-        { position: "2 (Creative)", element: "Fi", description: "Influences feelings; praises or shames to guide behaviour" },
-        { position: "3 (Role)", element: "Ne", description: "Attempts to consider possibilities but feels uneasy with unpredictable people" },
-        { position: "4 (Vulnerable)", element: "Ti", description: "Dislikes structured thinking and may struggle to justify decisions logically" },
-        { position: "5 (Suggestive)", element: "Ni", description: "Looks to others for long-term foresight and guidance" },
-        { position: "6 (Mobilizing)", element: "Te", description: "Gains motivation from efficient methods and clear procedures" },
-        { position: "7 (Ignoring)", element: "Si", description: "Pays little attention to personal comfort unless it enhances status" },
-        { position: "8 (Demonstrative)", element: "Fe", description: "Can liven up moods but becomes bored by excessive emotional display" }
-      ],
-      interaction: {
-        communication: "Bold and charismatic; draws attention to themselves and uses emotional manipulation to influence others",
-        work: "Thrives on tangible goals and competition; uninterested in abstract ideas unless they have immediate relevance",
-        decision: "Bases decisions on social advantage and feasibility; values efficient suggestions and long-term vision from partners"
-      },
-      nuances: "SEEs are motivated by exclusivity and status; they may view relationships in terms of achieving goals rather than intrinsic sentiment. They often fear being judged for not following norms and may make impulsive decisions to avoid appearing weak."
-    },
-    "ILI": {
-      summary: "ILIs are reflective analysts who seek to uncover hidden connections and foresee future consequences. Dominant introverted intuition makes them introspective, pattern-oriented and sometimes pessimistic to avoid disappointment. Creative extroverted thinking drives them to collect accurate information, correct mistakes and act with perfectionistic precision. They pay little attention to physical comforts, may misinterpret bodily sensations and often appear emotionally distant. Because they need help with decisive action and emotional closeness, they look to partners who provide willpower and ethical support.",
-      characteristics: {
-        strengths: "Keen insight into trends and consequences; ability to correct information and identify logical flaws.",
-        challenges: "Indifferent to physical surroundings; difficulty expressing feelings; require external motivation to act and seek closeness."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Ni", description: "Analyses hidden connections and foresees consequences" },
-        { position: "2 (Creative)", element: "Te", description: "Collects accurate information and corrects errors" },
-        { position: "3 (Role)", element: "Si", description: "Tries to care for bodily needs but often misreads sensations" },
-        { position: "4 (Vulnerable)", element: "Fe", description: "Appears cold and finds socializing exhausting" },
-        { position: "5 (Suggestive)", element: "Se", description: "Looks to others for willpower and external stimulation" },
-        { position: "6 (Mobilizing)", element: "Fi", description: "Seeks deep ethical connections and reassurance" },
-        { position: "7 (Ignoring)", element: "Ne", description: "Ignores endless possibilities, focusing on quality over quantity" },
-        { position: "8 (Demonstrative)", element: "Ti", description: "Can apply logical structures when necessary but prefers concise efficiency" }
-      ],
-      interaction: {
-        communication: "Analytical and detached; speaks about patterns and consequences; corrects misinformation and may employ sarcasm",
-        work: "Spends time studying and contemplating; may hesitate to act until fully prepared; collects detailed information",
-        decision: "Bases decisions on perceived outcomes and factual accuracy; relies on partners for moral guidance and motivation"
-      },
-      nuances: "ILIs may delay acting on their insights and appear indecisive, yet they are internally analysing multiple possible outcomes. Their sarcastic comments often stem from a desire to correct misinformation."
-    },
-    "LIE": {
-      summary: "LIEs are pragmatic strategists who value efficiency and long-term outcomes. Their dominant extroverted thinking drives them to accumulate factual knowledge, correct errors and optimise systems. Creative introverted intuition helps them anticipate consequences and think ahead, often doing things 'just in case'. They focus on productivity and may act like know-it-alls, devaluing small talk and emotional comforts. Although they respect ethical consistency and rely on resolute partners for motivation, they may neglect immediate sensory needs and interpersonal warmth.",
-      characteristics: {
-        strengths: "Efficient, knowledgeable and forward-thinking; correct inaccuracies and anticipate future outcomes.",
-        challenges: "May appear cold or pedantic; neglect immediate comforts and emotional rapport; need external encouragement to act on personal goals."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Te", description: "Focuses on efficiency, gathering factual data and correcting errors" },
-        { position: "2 (Creative)", element: "Ni", description: "Anticipates consequences and plans ahead" },
-        { position: "3 (Role)", element: "Fe", description: "Attempts to display enthusiasm but often views emotions as tools" },
-        { position: "4 (Vulnerable)", element: "Si", description: "Neglects physical comfort and aesthetics" },
-        { position: "5 (Suggestive)", element: "Fi", description: "Needs reassurance about personal relationships and clear ethical guidance" },
-        { position: "6 (Mobilizing)", element: "Se", description: "Gains motivation from resolute partners who push them to act" },
-        { position: "7 (Ignoring)", element: "Ti", description: "May overlook pure logical consistency if it hinders efficiency" },
-        { position: "8 (Demonstrative)", element: "Ne", description: "Generates possibilities and alternatives but keeps them secondary" }
-      ],
-      interaction: {
-        communication: "Fact-oriented and directive; often corrects others and provides data to support arguments",
-        work: "Constantly improves systems and forecasts outcomes; may do extra work to cover potential issues",
-        decision: "Bases decisions on efficiency and long-term results; values pragmatic ethics and resolute action"
-      },
-      nuances: "LIEs often correct others even during casual conversation, leading to the perception that they are 'know-it-alls'. They admire resolute people and may fear the negative consequences of acting without sufficient planning."
-    },
-    "LSE": {
-      summary: "LSEs are industrious organisers who judge everything by its practical usefulness. Their dominant extroverted thinking pushes them to focus on productivity, comment on uselessness and refine methods to achieve real results. Creative introverted sensing adds a concern for comfort and convenience; they rearrange environments and plan physical recreation to keep things orderly and pleasant. They speak factually and maintain reliability, judging people by their deeds rather than words. However, they may ignore emotions, appear monotone and become frustrated when others fail to follow instructions. They prefer stable, predictable futures and avoid speculative forecasts, believing hard work will pay off.",
-      characteristics: {
-        strengths: "Hard-working, reliable and factual; maintain order and judge by deeds. Provide comfort and practical support to others.",
-        challenges: "Appear monotone and worry about being made to look foolish; may lose temper when instructions aren't followed. Prefer predictable paths and can resist change or speculative plans."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Te", description: "Focuses on productivity and real needs, comments on uselessness" },
-        { position: "2 (Creative)", element: "Si", description: "Reorganises living spaces and plans physical recreation for comfort" },
-        { position: "3 (Role)", element: "Fe", description: "Tries to be emotionally expressive but feels awkward; monotone speech" },
-        { position: "4 (Vulnerable)", element: "Ni", description: "Avoids speculative forecasts and prefers predictable outcomes" },
-        { position: "5 (Suggestive)", element: "Fi", description: "Looks for emotional warmth and personal values from others to balance their pragmatism" },
-        { position: "6 (Mobilizing)", element: "Ne", description: "Gains energy from new ideas and possibilities when presented in practical terms" },
-        { position: "7 (Ignoring)", element: "Ti", description: "May neglect theoretical consistency if it conflicts with efficiency" },
-        { position: "8 (Demonstrative)", element: "Se", description: "Can be forceful when enforcing order but sees it as a last resort" }
-      ],
-      interaction: {
-        communication: "Factual and orderly; judges by deeds; may sound monotone and non-emotional",
-        work: "Establishes efficient routines, reorganises environments for convenience and expects instructions to be followed",
-        decision: "Bases decisions on practicality and reliability; avoids speculation and prefers stable, predictable plans"
-      },
-      nuances: "LSEs may appear stern and unfeeling, but this stems from a focus on productivity rather than indifference. They believe hard work will pay off and may underestimate the influence of external change or luck."
-    },
-    "EIE": {
-      summary: "EIEs are passionate communicators who feel responsible for the emotional climate of their communities. Their dominant extroverted feeling drives them to generate liveliness, involve people and encourage shared values. Creative introverted intuition gives them a sense of significance, love of history and an ability to imagine future scenarios and 'paint pictures' of what could happen. They avoid discussions of efficiency and routine tasks, focusing instead on the meaning and mood of events. Although they may appear melodramatic and occasionally impose their opinions, they need others to help organise schedules and provide logical structure.",
-      characteristics: {
-        strengths: "Skilled at motivating and involving people; love discussing meaning and significance; plan ahead and warn others of potential problems.",
-        challenges: "Dislike impersonal efficiency and may procrastinate; often misplace objects and struggle with practical maintenance. May be brash and impose views when challenged."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Fe", description: "Generates liveliness, maintains emotional atmosphere and holds strong views" },
-        { position: "2 (Creative)", element: "Ni", description: "Imagines future scenarios and imbues events with significance" },
-        { position: "3 (Role)", element: "Te", description: "Attempts to be efficient but avoids discussions of productivity" },
-        { position: "4 (Vulnerable)", element: "Si", description: "Often misplaces objects and neglects physical details" },
-        { position: "5 (Suggestive)", element: "Ti", description: "Seeks clear logical structures and appreciates concise explanations" },
-        { position: "6 (Mobilizing)", element: "Se", description: "Gains energy from resolute action and appreciates people who push them to act" },
-        { position: "7 (Ignoring)", element: "Fi", description: "May overlook personal values when championing causes; expresses feelings publicly rather than privately" },
-        { position: "8 (Demonstrative)", element: "Ne", description: "Generates random ideas and possibilities but uses them sparingly" }
-      ],
-      interaction: {
-        communication: "Emotional and theatrical; uses stories, expressive gestures and moral statements to rally others",
-        work: "Focuses on meaning and significance rather than efficiency; may procrastinate until emotionally motivated",
-        decision: "Guided by ideals and future vision; seeks partners who provide practical structure and discipline"
-      },
-      nuances: "EIEs may become melodramatic and impose their opinions when they feel challenged. They often assume present circumstances will continue, leading to poor time estimation and lateness."
-    },
-    "IEE": {
-      summary: "IEEs are enthusiastic explorers who thrive on spontaneity and human connection. Dominant extroverted intuition draws them to new ideas and possibilities; they quickly start projects and often juggle several at once. Creative introverted feeling makes them sensitive to mood, regulating emotional intimacy and coaxing others with kindness. They avoid long-term commitments and rigid rules, preferring to keep options open and resist binding relationships. Structured thinking and sustained willpower are challenging; they rely on others for efficiency and may drop tasks that require persistence.",
-      characteristics: {
-        strengths: "Highly perceptive of personality and potential; able to match people and ideas; maintain positive atmosphere.",
-        challenges: "Resist rules and long-term commitments; may abandon tasks requiring sustained effort; struggle to describe systems concisely and can be inconsistent in applying logic."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Ne", description: "Seeks new ideas and compatible people, starting projects impulsively" },
-        { position: "2 (Creative)", element: "Fi", description: "Reads moods and regulates emotional intimacy" },
-        { position: "3 (Role)", element: "Se", description: "Can be direct when challenged but worries about negative connotations" },
-        { position: "4 (Vulnerable)", element: "Ti", description: "Struggles to describe systems concisely and may rely on feelings over logic" },
-        { position: "5 (Suggestive)", element: "Si", description: "Looks for comfort and relaxation, often ignoring bodily needs until reminded" },
-        { position: "6 (Mobilizing)", element: "Te", description: "Gains motivation from practical efficiency and structured advice" },
-        { position: "7 (Ignoring)", element: "Ni", description: "Ignores long-range predictions, preferring to act on immediate possibilities" },
-        { position: "8 (Demonstrative)", element: "Fe", description: "Can be lively and engaging but prefers deeper one-on-one communication" }
-      ],
-      interaction: {
-        communication: "Enthusiastic and exploratory; comments on personalities and possibilities; avoids negativity",
-        work: "Starts many projects based on inspiration; loses interest when routine sets in; resists binding commitments",
-        decision: "Guided by personal feelings and compatibility; seeks efficient advice but may disregard it if it conflicts with freedom"
-      },
-      nuances: "IEEs are aware of social expectations and may hide their affiliations to avoid judgment. They ignore bodily signals until they are sick, yet may emphasize appearance with close partners rather than publicly."
-    },
-    "LII": {
-      summary: "LIIs are conceptual thinkers who use introverted logic to refine ideas into coherent systems and to assess statements based on internal consistency. Extroverted intuition allows them to explore possibilities, but they remain focused on a central principle and become impatient with open-ended brainstorming. They may over-conform to social conventions yet defend their personal viewpoints strongly; they avoid direct confrontation and may struggle with physical demands or immediate realities.",
-      characteristics: {
-        strengths: "Analytical, systematic thinking; ability to formulate conceptual models and reduce arguments to essential principles.",
-        challenges: "Avoidance of direct confrontation and orders; impatience with open-ended idea generation; discomfort with physical or sensory demands."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Ti", description: "Program function: formulates internal logical structures" },
-        { position: "2 (Creative)", element: "Ne", description: "Generates possibilities and explores connections" },
-        { position: "3 (Role)", element: "Fe", description: "Conforms to social conventions and ethical expectations" },
-        { position: "4 (Vulnerable)", element: "Se", description: "Sensitive to direct confrontation and orders" },
-        { position: "5 (Suggestive)", element: "Fi", description: "Looks for emotional warmth and personal values from others to balance their pragmatism" },
-        { position: "6 (Mobilizing)", element: "Si", description: "Needs help maintaining comfort and physical well-being" },
-        { position: "7 (Ignoring)", element: "Te", description: "Disregards efficiency in favour of internal coherence" },
-        { position: "8 (Demonstrative)", element: "Ni", description: "Quietly understands patterns over time but keeps them to oneself" }
-      ],
-      interaction: {
-        communication: "Not stated on wikisocion.github.io",
-        work: "Prefers analytical planning and reducing tasks to logical rules",
-        decision: "Leans on logical principles and clarity; dislikes being rushed or ordered"
-      },
-      nuances: "Not stated on wikisocion.github.io"
-    },
-    "SLI": {
-      summary: "SLIs are practical aesthetes who prioritise comfort and efficiency. Their dominant introverted sensing makes them sensitive to physical sensations and able to create simple, pleasant environments. Creative extroverted thinking values accurate information and fairness; they evaluate tasks by the return on effort and avoid unnecessary work. They resist being hurried and prefer to work at their own pace, oversimplifying future plans and appreciating optimistic companions. Emotional displays make them uncomfortable, and they prefer not to discuss feelings directly.",
-      characteristics: {
-        strengths: "Creates comfort quickly; makes practical, fair decisions; encourages hands-on experience and values quality over quantity.",
-        challenges: "Dislikes being hurried; oversimplifies the future; uneasy with emotional expressions; may hold grudges against those who disrupt harmony."
-      },
-      modelA: [
-        { position: "1 (Base)", element: "Si", description: "Sensitive to physical sensations and seeks comfort" },
-        { position: "2 (Creative)", element: "Te", description: "Evaluates efficiency and fairness; gathers accurate information" },
-        { position: "3 (Role)", element: "Ni", description: "Tries to envision the future but tends to oversimplify and prefers optimism" },
-        { position: "4 (Vulnerable)", element: "Fe", description: "Uncomfortable with emotional displays; doesn't like assumptions about their feelings" },
-        { position: "5 (Suggestive)", element: "Ne", description: "Enjoys novel ideas and inspiration from others" },
-        { position: "6 (Mobilizing)", element: "Fi", description: "Seeks personal connections but needs time to open up" },
-        { position: "7 (Ignoring)", element: "Se", description: "May overlook assertiveness unless necessary to protect comfort" },
-        { position: "8 (Demonstrative)", element: "Ti", description: "Can apply logical structures when needed but prefers practical efficiency" }
-      ],
-      interaction: {
-        communication: "Down-to-earth and reserved; may be blunt about practical matters; avoids emotional discussions",
-        work: "Prefers hands-on tasks and efficient methods; resists being rushed; simplifies plans and appreciates optimistic perspectives",
-        decision: "Guided by physical comfort, efficiency and fairness; asks others for inspiration and emotional support"
-      },
-      nuances: "SLIs may appear lazy because they avoid unnecessary effort, but they are simply conserving energy for what matters. They can hold grudges against those who create emotional chaos and may silently withdraw when uncomfortable."
-    }
-  };
-  
-  const content = typeContent[code] || {
+  // Structured prose comes from the data pipeline (types.json `content`); placeholders fill any gaps
+  const content = mergeContent({
     summary: t.overview || "Socionics type description.",
     characteristics: {
       strengths: "Type-specific strengths",
       challenges: "Type-specific challenges"
     },
-    modelA: [
-      { position: "1 (Base)", element: t.leading, description: "Leading function" },
-      { position: "2 (Creative)", element: t.creative, description: "Creative function" },
-      { position: "3 (Role)", element: "—", description: "Role function" },
-      { position: "4 (Vulnerable)", element: "—", description: "Vulnerable function" },
-      { position: "5 (Suggestive)", element: "—", description: "Suggestive function" },
-      { position: "6 (Mobilizing)", element: "—", description: "Mobilizing function" },
-      { position: "7 (Ignoring)", element: "—", description: "Ignoring function" },
-      { position: "8 (Demonstrative)", element: "—", description: "Demonstrative function" }
-    ],
     interaction: {
       communication: "Type-specific communication style",
       work: "Type-specific work/learning style",
       decision: "Type-specific decision-making approach"
     },
     nuances: "Type-specific nuances and caveats"
-  };
+  }, t.content);
   
   // Find related types (duals, same quadra, etc.)
   const dualPair = Array.from(duals).find(pair => pair.includes(code));
   const dualCode = dualPair ? dualPair.split("-").find(c => c !== code) : null;
   const dualType = dualCode ? byCode[dualCode] : null;
   
+  const reinin = reininFor(t.code);
+  const groups = groupsFor(t.code);
+  // Scraped subtype text wins over the generated defaults, matched by id
+  const scrapedSubtypes = Object.fromEntries((Array.isArray(t.subtypes) ? t.subtypes : []).filter(Boolean).map((s) => [s.id, s]));
+  const subtypes = subtypesFor(t.code).map((s) => ({ ...s, ...scrapedSubtypes[s.id] }));
+  const activeSubtype = subtypes.find((s) => s.id === subtype);
+  // Placeholder summaries fall back to the overview, so cite whichever one is shown
+  const summarySources = t.content && t.content.summary ? sourcesFor(t, "content.summary") : sourcesFor(t, "overview");
+  // Offline copy of the type's wiki page, when the corpus has one
+  const { index: corpus } = useCorpusIndex();
+  const pageTitle = normalizeTitle(t.title || (t.sources && t.sources.overview && t.sources.overview.page) || "");
+  const offlineArticle = corpus && pageTitle ? corpus.articles.find((a) => normalizeTitle(a.title) === pageTitle) : null;
   const sameQuadra = types.filter(type => type.quadra === t.quadra && type.code !== code);
   const sameTemperament = types.filter(type => type.temperament === t.temperament && type.code !== code);
   
@@ -1329,7 +1194,7 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
           <div className="card p-6">
             <div className="flex items-baseline justify-between gap-3">
               <h1 className={cls("text-4xl font-semibold tracking-tight", darkMode ? "text-white" : "text-black")}>
-                <span className="font-mono mr-2">{t.code}</span>
+                <span className="font-mono mr-2">{typeRef(t.code, activeSubtype && activeSubtype.id)}</span>
                 {t.fullName}
               </h1>
               <div className="flex items-center gap-2">
@@ -1342,9 +1207,54 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
                 </button>
               </div>
             </div>
+            {status && status.status !== "live" && (
+              <div role="note" className={cls("mt-4 border-l-4 pl-3 text-sm", darkMode ? "text-gray-300" : "text-neutral-800")} style={{ borderLeftColor: "var(--accent)" }}>
+                <span className="font-semibold">{status.status === "stale" ? "Stale content." : "Content unavailable."}</span>{" "}
+                {status.status === "stale"
+                  ? "The live wiki page failed to load, so this is the copy bundled with the app."
+                  : "The live wiki page failed to load and the app has no bundled copy."}
+                {status.error && <span className={cls("block text-xs font-mono mt-1", darkMode ? "text-gray-500" : "text-neutral-500")}>{status.error}</span>}
+              </div>
+            )}
+            <div className="mt-4 flex flex-wrap items-center gap-2" role="group" aria-label="Subtype">
+              <button
+                onClick={() => onSubtype(undefined)}
+                aria-pressed={!activeSubtype}
+                className={cls("text-xs px-2 py-1 rounded", !activeSubtype ? "bg-[var(--accent)] text-white" : darkMode ? "bg-gray-800 hover:bg-gray-700 text-white" : "bg-neutral-100 hover:bg-neutral-200 text-black")}
+              >
+                Base
+              </button>
+              {SUBTYPE_SYSTEMS.map((system) => (
+                <React.Fragment key={system.id}>
+                  <span className={cls("ml-2 text-[10px] uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")} title={system.description}>{system.name}</span>
+                  {subtypes.filter((s) => s.system === system.id).map((s) => (
+                    <button
+                      key={s.id}
+                      onClick={() => onSubtype(s.id)}
+                      aria-pressed={activeSubtype === s}
+                      title={s.name}
+                      className={cls("text-xs px-2 py-1 rounded font-mono", activeSubtype === s ? "bg-[var(--accent)] text-white" : darkMode ? "bg-gray-800 hover:bg-gray-700 text-white" : "bg-neutral-100 hover:bg-neutral-200 text-black")}
+                    >
+                      {typeRef(t.code, s.id)}
+                    </button>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+            {activeSubtype && (
+              <div className="mt-4 card p-4">
+                <div className={cls("text-xs uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>
+                  {SUBTYPE_SYSTEMS.find((s) => s.id === activeSubtype.system).name} subtype
+                </div>
+                <h3 className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>{activeSubtype.name}</h3>
+                <p className={cls("mt-1 text-sm", darkMode ? "text-gray-300" : "text-neutral-900")}>{activeSubtype.summary}</p>
+                <SourceNote sources={sourcesFor(t, `subtypes[${activeSubtype.id}]`)} darkMode={darkMode} className="mt-2" />
+              </div>
+            )}
             <p className={cls("mt-4 max-w-prose", darkMode ? "text-gray-300" : "text-neutral-900")}>
               {content.summary}
             </p>
+            <SourceNote sources={summarySources} darkMode={darkMode} className="mt-2" />
             
             <div className="mt-8">
               <h2 className="text-2xl font-semibold dark:text-gray-200">Core Characteristics</h2>
@@ -1362,6 +1272,7 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
                   </p>
                 </div>
               </div>
+              <SourceNote sources={sourcesFor(t, "content.characteristics")} darkMode={darkMode} className="mt-2" />
             </div>
             
             <div className="mt-8">
@@ -1386,11 +1297,13 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
                   </p>
                 </div>
               </div>
+              <SourceNote sources={sourcesFor(t, "content.interaction")} darkMode={darkMode} className="mt-2" />
             </div>
             
             <div className="mt-8">
               <h2 className={cls("text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>Model A (schematic)</h2>
-              <ModelA leading={t.leading} creative={t.creative} modelA={content.modelA} darkMode={darkMode} />
+              <ModelA type={t} notes={content.modelA} darkMode={darkMode} />
+              <SourceNote sources={sourcesFor(t, "content.modelA")} darkMode={darkMode} className="mt-2" />
             </div>
             
             <div className="mt-8">
@@ -1398,6 +1311,7 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
               <p className={cls("mt-4 max-w-prose", darkMode ? "text-gray-300" : "text-neutral-900")}>
                 {content.nuances}
               </p>
+              <SourceNote sources={sourcesFor(t, "content.nuances")} darkMode={darkMode} className="mt-2" />
             </div>
           </div>
         </div>
@@ -1428,6 +1342,42 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
             >
               Canonical page
             </a>
+            {offlineArticle && (
+              <a
+                href={`#/wiki/${wikiPath(offlineArticle.title)}`}
+                className={cls("mt-2 block w-full text-center py-2 text-sm rounded-md", darkMode ? "bg-gray-800 hover:bg-gray-700 text-gray-300" : "bg-neutral-100 hover:bg-neutral-200 text-black")}
+              >
+                Read offline
+              </a>
+            )}
+          </div>
+
+          <div className="mt-4 card p-4">
+            <h3 className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>Reinin Dichotomies</h3>
+            <dl className="mt-3 grid grid-cols-2 gap-x-3 gap-y-2 text-sm">
+              {DICHOTOMIES.map((d) => (
+                <div key={d.id}>
+                  <dt className={cls("text-[10px] uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>{d.poles.join(" / ")}</dt>
+                  <dd className={cls(darkMode ? "text-white" : "text-black")}>{reinin[d.id]}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          <div className="mt-4 card p-4">
+            <h3 className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>Small Groups</h3>
+            <dl className="mt-3 space-y-2 text-sm">
+              {groups.map(({ family, group }) => (
+                <div key={family.id} className="flex items-baseline justify-between gap-3">
+                  <dt className={cls("text-[10px] uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>{family.name}</dt>
+                  <dd>
+                    <a href={`#/group/${family.id}/${group.id}`} className={cls("hover:text-[var(--accent)]", darkMode ? "text-white" : "text-black")}>
+                      {group.name}
+                    </a>
+                  </dd>
+                </div>
+              ))}
+            </dl>
           </div>
           
           <div className="mt-4 card p-4">
@@ -1498,30 +1448,32 @@ function TypeDetail({ types, duals, code, onBack, darkMode }) {
   );
 }
 
-function ModelA({ leading, creative, modelA, darkMode }) {
-  const boxes = modelA || [
-    { position: "1. Leading", element: leading, description: "Leading function" },
-    { position: "2. Creative", element: creative, description: "Creative function" },
-    { position: "3. Role", element: "—", description: "Role function" },
-    { position: "4. Vulnerable", element: "—", description: "Vulnerable function" },
-    { position: "5. Suggestive", element: "—", description: "Suggestive function" },
-    { position: "6. Mobilizing", element: "—", description: "Mobilizing function" },
-    { position: "7. Ignoring", element: "—", description: "Ignoring function" },
-    { position: "8. Demonstrative", element: "—", description: "Demonstrative function" },
-  ];
-  
+function ModelA({ type, notes, darkMode }) {
+  // Structure comes from the core; content notes only add prose where they agree with it.
+  const boxes = computeModelA(type.leading, type.creative).map((b) => {
+    const note = (notes || []).find((n) => n.position === b.position && n.element === b.element);
+    return note ? { ...b, description: note.description } : b;
+  });
+
   return (
-    <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
-      {boxes.map((b, i) => (
-        <div key={i} className="card p-3">
-          <div className="flex justify-between">
-            <div className={cls("text-xs", darkMode ? "text-gray-500" : "text-neutral-500")}>{b.position}</div>
-            <div className={cls("font-mono", (i === 0 || i === 1) && "text-red-700 font-semibold", darkMode && (i === 0 || i === 1) && "text-red-500")}>
-              {b.element}
-            </div>
-          </div>
-          <div className={cls("mt-1 text-sm", darkMode ? "text-gray-300" : "text-neutral-700")}>
-            {b.description}
+    <div className="mt-3 space-y-4">
+      {MODEL_A_BLOCKS.map((block) => (
+        <div key={block}>
+          <div className={cls("text-[11px] uppercase tracking-[0.2em]", darkMode ? "text-gray-500" : "text-neutral-500")}>{block}</div>
+          <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {boxes.filter((b) => b.block === block).map((b) => (
+              <div key={b.position} className="card p-3">
+                <div className="flex justify-between">
+                  <div className={cls("text-xs", darkMode ? "text-gray-500" : "text-neutral-500")}>{b.position}. {b.name}</div>
+                  <div className={cls("font-mono", b.block === "Ego" && "text-red-700 font-semibold", darkMode && b.block === "Ego" && "text-red-500")}>
+                    {b.element}
+                  </div>
+                </div>
+                <div className={cls("mt-1 text-sm", darkMode ? "text-gray-300" : "text-neutral-700")}>
+                  {b.description}
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       ))}
@@ -1563,66 +1515,20 @@ function DualityList({ types, duals, self, darkMode }) {
   );
 }
 
-function Relations({ types, duals, relations, onNav, darkMode }) {
+function Relations({ types, relations, onNav, darkMode }) {
   const [a, setA] = useState("ILE");
   const [b, setB] = useState("SEI");
 
-  // Get relation data
-  const pairKey = [a, b].sort().join("-");
-  const isDual = duals.has(pairKey);
-  const relation = relations.find(r => r.name === "Duality" && [r.a, r.b].sort().join("-") === pairKey);
-
-  // Calculate additional relation types
   const byCode = Object.fromEntries(types.map((t) => [t.code, t]));
   const typeA = byCode[a];
   const typeB = byCode[b];
-  
-  // Determine relation types
-  const isIdentity = a === b;
-  const isDualSame = isDual;
-  
-  // Same quadra relation
-  const isSameQuadra = typeA.quadra === typeB.quadra;
-  
-  // Temperament relations
-  const isSameTemperament = typeA.temperament === typeB.temperament;
-  
-  // Function relations
-  const isSameLeading = typeA.leading === typeB.leading;
-  const isSameCreative = typeA.creative === typeB.creative;
-  
-  // Activator relation (leading/creative reversed)
-  const isActivator = typeA.leading === typeB.creative && typeA.creative === typeB.leading;
-  
-  // Mirror relation (same leading/creative but different type)
-  const isMirror = isSameLeading && isSameCreative && !isIdentity;
-  
-  // Semi-dual relation (leading of one is creative of other)
-  const isSemiDual = (typeA.leading === typeB.creative && !isActivator) || 
-                    (typeB.leading === typeA.creative && !isActivator);
-  
-  // Extinguishment relation (conflict with functions)
-  const isExtinguishment = (typeA.leading === typeB.leading && !isIdentity) ||
-                          (typeA.creative === typeB.creative && !isMirror);
-  
-  // Business relation (quadra neighbors)
-  const quadraOrder = ["Alpha", "Beta", "Gamma", "Delta"];
-  const aQuadraIndex = quadraOrder.indexOf(typeA.quadra);
-  const bQuadraIndex = quadraOrder.indexOf(typeB.quadra);
-  const quadraDiff = Math.abs(aQuadraIndex - bQuadraIndex);
-  const isBusiness = (quadraDiff === 1 || quadraDiff === 3) && 
-                    !isDual && !isSemiDual && !isExtinguishment;
-  
-  // Super-ego relation (remaining types)
-  const isSuperEgo = !isIdentity && !isDualSame && !isSameQuadra && !isActivator && 
-                    !isMirror && !isSemiDual && !isExtinguishment && !isBusiness;
-  
-  // Conflict relation (quadra opposites)
-  const isConflict = (quadraDiff === 2) && !isSameQuadra && !isDualSame;
+  const rel = relationInfo(typeA, typeB);
+
+  const record = relations.find((r) => r.name === rel.kind);
 
   return (
     <section className="pt-10">
-      <RailHeading label="Section" title="Relations" description="Explore relation patterns between any two types; duality highlighted." />
+      <RailHeading label="Section" title="Relations" description="All sixteen intertype relations between any two types, including supervision and benefit roles." />
 
       <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 gap-3">
         <Select types={types} label="Type A" value={a} setValue={setA} darkMode={darkMode} />
@@ -1635,11 +1541,11 @@ function Relations({ types, duals, relations, onNav, darkMode }) {
         <div className={cls("mt-1 text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>
           {a} ↔ {b}
         </div>
-        {(() => { const relInfo = classifyRelation(typeA, typeB, duals); return (
         <div className="mt-2 flex flex-wrap gap-2 items-center">
-          <span className="chip" style={{borderColor: relInfo.color, color: relInfo.color}}>{relInfo.key}</span>
+          <span className="chip" style={{borderColor: rel.color, color: rel.color}}>{rel.label}</span>
           <RelationChips a={typeA} b={typeB} darkMode={darkMode} />
-        </div> ); })()}
+        </div>
+        <RelationText rel={rel} record={record} full darkMode={darkMode} />
       </div>
 
       {/* Visuals */}
@@ -1652,7 +1558,6 @@ function Relations({ types, duals, relations, onNav, darkMode }) {
             activeB={b}
             onSelectB={setB}
             darkMode={darkMode}
-            duals={duals}
           />
         </div>
         <div className="lg:col-span-4 card p-4">
@@ -1678,41 +1583,71 @@ const RELATION_COLORS = {
   Activation: '#06b6d4',
   Mirror: '#6366f1',
   'Semi-duality': '#14b8a6',
-  Extinguishment: '#94a3b8',
-  Conflict: '#ef4444',
+  Mirage: '#a855f7',
   Business: '#f97316',
+  Kindred: '#0ea5e9',
+  'Quasi-identity': '#78716c',
+  Extinguishment: '#94a3b8',
   'Super-ego': '#eab308',
-  Other: '#64748b',
+  Conflict: '#ef4444',
+  Supervision: '#be123c',
+  Benefit: '#65a30d',
 };
 
-function classifyRelation(aType, bType, duals) {
-  if (!aType || !bType) return { key: 'Other', color: RELATION_COLORS.Other };
-  const key = [aType.code, bType.code].sort().join('-');
-  const isIdentity = aType.code === bType.code;
-  const isDual = !!duals && typeof duals.has === 'function' ? duals.has(key) : false;
-  const sameQuadra = aType.quadra === bType.quadra;
-  const sameTemp = aType.temperament === bType.temperament;
-  const sameLead = aType.leading === bType.leading;
-  const sameCreative = aType.creative === bType.creative;
-  const activator = aType.leading === bType.creative && aType.creative === bType.leading;
-  const mirror = sameLead && sameCreative && !isIdentity;
-  const semiDual = (aType.leading === bType.creative && !activator) || (bType.leading === aType.creative && !activator);
-  const quadraOrder = ['Alpha','Beta','Gamma','Delta'];
-  const qd = Math.abs(quadraOrder.indexOf(aType.quadra) - quadraOrder.indexOf(bType.quadra));
-  const business = (qd === 1 || qd === 3) && !isDual && !semiDual;
-  const conflict = (qd === 2) && !sameQuadra && !isDual;
-  const extinguishment = (sameLead && !isIdentity) || (sameCreative && !mirror);
-  const superEgo = !isIdentity && !isDual && !sameQuadra && !activator && !mirror && !semiDual && !extinguishment && !business;
-  const label = isIdentity ? 'Identity' :
-    isDual ? 'Duality' :
-    activator ? 'Activation' :
-    mirror ? 'Mirror' :
-    semiDual ? 'Semi-duality' :
-    extinguishment ? 'Extinguishment' :
-    conflict ? 'Conflict' :
-    business ? 'Business' :
-    superEgo ? 'Super-ego' : 'Other';
-  return { key: label, color: RELATION_COLORS[label] || RELATION_COLORS.Other };
+// Relation of B from A's side, plus its display label and color
+function relationInfo(aType, bType) {
+  const rel = getRelation(aType.code, bType.code);
+  return { ...rel, label: describeRelation(rel), color: RELATION_COLORS[rel.kind] };
+}
+
+// Dataset text for a relation: summary (or full description) plus each side's role.
+function RelationText({ rel, record, full, darkMode }) {
+  if (!record) return null;
+  const text = full ? record.description || record.summary : record.summary;
+  return (
+    <div className={cls("mt-3 text-sm max-w-prose space-y-2", darkMode ? "text-gray-300" : "text-neutral-800")}>
+      {text && <p>{text}</p>}
+      {full && <SourceNote sources={sourcesFor(record, "description")} darkMode={darkMode} />}
+      {rel.ordered && record.roles && (
+        <dl className="space-y-1">
+          {[[rel.a, rel.roles.a], [rel.b, rel.roles.b]].map(([code, role]) => (
+            <div key={code}>
+              <dt className="inline font-semibold">{code} as {role}: </dt>
+              <dd className="inline">{record.roles[role]}</dd>
+              {full && <SourceNote sources={sourcesFor(record, `roles.${role}`)} darkMode={darkMode} />}
+            </div>
+          ))}
+        </dl>
+      )}
+      {full && record.href && (
+        <a href={record.href} target="_blank" rel="noopener" className="inline-flex items-center gap-1 text-xs text-[var(--accent)]">
+          Wiki page <ExternalLink className="h-3 w-3" />
+        </a>
+      )}
+    </div>
+  );
+}
+
+// Inline citation: the page, section and revision a block of text was taken from
+function SourceNote({ sources, darkMode, className }) {
+  if (!sources || !sources.length) return null;
+  return (
+    <div className={cls("text-[11px]", darkMode ? "text-gray-500" : "text-neutral-500", className)}>
+      <span className="uppercase tracking-wide mr-1">Source</span>
+      {sources.map((source, i) => (
+        <React.Fragment key={i}>
+          {i > 0 && "; "}
+          {source.url ? (
+            <a href={source.url} target="_blank" rel="noopener" className="underline decoration-dotted hover:text-[var(--accent)]">
+              {sourceLabel(source)}
+            </a>
+          ) : (
+            <span>{sourceLabel(source)}</span>
+          )}
+        </React.Fragment>
+      ))}
+    </div>
+  );
 }
 
 function RelationChips({ a, b, darkMode }) {
@@ -1732,7 +1667,7 @@ function RelationChips({ a, b, darkMode }) {
   );
 }
 
-function RadialRelations({ types, activeA, activeB, onSelectB, darkMode, duals }) {
+function RadialRelations({ types, activeA, activeB, onSelectB, darkMode }) {
   if (!types || !types.length) return null;
   const size = 420;
   const cx = size/2, cy = size/2;
@@ -1762,23 +1697,22 @@ function RadialRelations({ types, activeA, activeB, onSelectB, darkMode, duals }
 
   useEffect(() => {
     const reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    const anim = window.anime;
-    if (reduce || !anim || !svgRef.current) return;
+    if (reduce || !svgRef.current) return;
     // draw edges
     const edges = svgRef.current.querySelectorAll('path[data-edge]');
-    anim({
+    anime({
       targets: edges,
-      strokeDashoffset: [anim.setDashoffset, 0],
+      strokeDashoffset: [anime.setDashoffset, 0],
       duration: 520,
-      delay: anim.stagger(16),
+      delay: anime.stagger(16),
       easing: 'easeOutCubic'
     });
     // pulse halo for selected B
     const halo = svgRef.current.querySelector('circle[data-halo]');
     if (halo) {
-      anim.remove(halo);
+      anime.remove(halo);
       const baseR = parseFloat(halo.getAttribute('r')) || 10;
-      anim({
+      anime({
         targets: halo,
         r: [baseR, baseR + 3],
         duration: 900,
@@ -1807,9 +1741,9 @@ function RadialRelations({ types, activeA, activeB, onSelectB, darkMode, duals }
 
         {/* ribbons from A to others */}
         {nodes.slice(1).map((n, idx) => {
-          const rel = classifyRelation(aNode.t, n.t, duals);
+          const rel = relationInfo(aNode.t, n.t);
           const isActiveB = n.t.code === activeB;
-          const passFilter = !highlight || highlight === rel.key || isActiveB;
+          const passFilter = !highlight || highlight === rel.kind || isActiveB;
           const baseColor = rel.color || '#94a3b8';
           const color = baseColor;
           const d = pathFor(aNode.x, aNode.y, n.x, n.y);
@@ -1842,7 +1776,7 @@ function RadialRelations({ types, activeA, activeB, onSelectB, darkMode, duals }
               )}
               {/* tooltip via <title> for relation name */}
               {!isA && (
-                <title>{classifyRelation(aNode.t, n.t, duals).key}</title>
+                <title>{relationInfo(aNode.t, n.t).label}</title>
               )}
             </g>
           );
@@ -1851,7 +1785,7 @@ function RadialRelations({ types, activeA, activeB, onSelectB, darkMode, duals }
       <div className={cls('mt-2 text-xs', darkMode? 'text-gray-400':'text-neutral-600')}>Tip: click a node to set Type B. Click a legend chip to highlight a relation.</div>
       {/* relation legend */}
       <div className="mt-3 flex flex-wrap gap-2">
-        {Object.entries(RELATION_COLORS).filter(([k])=>k!=="Other").map(([name, color]) => (
+        {Object.entries(RELATION_COLORS).map(([name, color]) => (
           <button
             key={name}
             onClick={() => setHighlight(h => h === name ? null : name)}
@@ -1900,12 +1834,11 @@ function FunctionRings({ a, b, darkMode }) {
 
   useEffect(() => {
     const reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    const anim = window.anime;
-    if (reduce || !anim || !svgRef.current) return;
+    if (reduce || !svgRef.current) return;
     const arcs = svgRef.current.querySelectorAll('[data-arc]');
-    anim({ targets: arcs, strokeDashoffset: [anim.setDashoffset, 0], duration: 520, delay: anim.stagger(80), easing: 'easeOutCubic' });
+    anime({ targets: arcs, strokeDashoffset: [anime.setDashoffset, 0], duration: 520, delay: anime.stagger(80), easing: 'easeOutCubic' });
     const connectors = svgRef.current.querySelectorAll('[data-connector]');
-    anim({ targets: connectors, opacity: [0, 0.9], duration: 360, delay: anim.stagger(100), easing: 'easeOutQuad' });
+    anime({ targets: connectors, opacity: [0, 0.9], duration: 360, delay: anime.stagger(100), easing: 'easeOutQuad' });
   }, [a.code, b.code, darkMode]);
 
   // highlight spans (in radians). Wider for leading, narrower for creative
@@ -2015,12 +1948,11 @@ function FunctionInterlock({ a, b, darkMode }) {
 
   useEffect(() => {
     const reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    const anim = window.anime;
-    if (reduce || !anim || !svgRef.current) return;
+    if (reduce || !svgRef.current) return;
     const lines = svgRef.current.querySelectorAll('[data-link]');
-    anim({ targets: lines, strokeDashoffset: [anim.setDashoffset, 0], duration: 520, delay: anim.stagger(60), easing: 'easeOutCubic' });
+    anime({ targets: lines, strokeDashoffset: [anime.setDashoffset, 0], duration: 520, delay: anime.stagger(60), easing: 'easeOutCubic' });
     const matchesEls = svgRef.current.querySelectorAll('[data-match]');
-    anim({ targets: matchesEls, strokeDashoffset: [anim.setDashoffset, 0], duration: 600, delay: anim.stagger(100), easing: 'easeOutQuart' });
+    anime({ targets: matchesEls, strokeDashoffset: [anime.setDashoffset, 0], duration: 600, delay: anime.stagger(100), easing: 'easeOutQuart' });
   }, [a.code, b.code, darkMode]);
 
   // Helper to get y by key
@@ -2093,10 +2025,11 @@ function Theory({ onNav, darkMode }) {
   return (
     <section className="pt-10">
       <RailHeading label="Section" title="Theory" description="Concise primers on Model A, information elements, and quadras." />
-      <div className="mt-6 grid md:grid-cols-3 gap-3">
+      <div className="mt-6 grid md:grid-cols-2 lg:grid-cols-4 gap-3">
         <TheoryCard title="Model A" summary="Eight function positions; leading and creative guide the stack." darkMode={darkMode} />
         <TheoryCard title="Information Elements" summary="Ne, Ni, Se, Si, Te, Ti, Fe, Fi as channels of information." onCTAClick={() => onNav("functions")} ctaLabel="Explore Functions" darkMode={darkMode} />
-        <TheoryCard title="Quadras" summary="Four cultures of values: Alpha, Beta, Gamma, Delta." darkMode={darkMode} />
+        <TheoryCard title="Quadras" summary="Four cultures of values: Alpha, Beta, Gamma, Delta." onCTAClick={() => onNav("group", { family: "quadras", id: "alpha" })} ctaLabel="Browse Quadras" darkMode={darkMode} />
+        <TheoryCard title="Small Groups" summary="Clubs, temperaments, romance and communication styles: four types each." onCTAClick={() => onNav("groups")} ctaLabel="Browse Groups" darkMode={darkMode} />
       </div>
       <p className={cls("mt-6 text-sm", darkMode ? "text-gray-400" : "text-neutral-700")}>
         These articles are concise primers with diagrams. For depth, use the Library to reach canonical materials.
@@ -2217,6 +2150,84 @@ function TheoryCard({ title, summary, onCTAClick, ctaLabel, darkMode }) {
   );
 }
 
+function SmallGroups({ onNav, darkMode }) {
+  return (
+    <section className="pt-10">
+      <RailHeading label="Section" title="Small Groups" description="Standard groupings of four types, computed from each type's code." />
+      <div className="mt-6 space-y-8">
+        {GROUP_FAMILIES.map((family) => (
+          <div key={family.id}>
+            <h2 className={cls("text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>{family.name}</h2>
+            <p className={cls("mt-1 text-sm max-w-prose", darkMode ? "text-gray-400" : "text-neutral-700")}>{family.description}</p>
+            <div className="mt-4 grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+              {family.groups.map((g) => (
+                <button
+                  key={g.id}
+                  onClick={() => onNav("group", { family: family.id, id: g.id })}
+                  className="card p-4 text-left hover:border-[var(--accent)]"
+                >
+                  <div className={cls("text-lg font-semibold", darkMode ? "text-white" : "text-black")}>{g.name}</div>
+                  <div className={cls("mt-1 font-mono text-xs", darkMode ? "text-gray-400" : "text-neutral-600")}>{g.members.join(" · ")}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function GroupDetail({ types, family, id, onNav, darkMode }) {
+  const found = getGroup(family, id);
+  if (!found) {
+    return (
+      <section className="pt-10">
+        <p className={cls(darkMode ? "text-gray-400" : "text-neutral-700")}>Unknown group.</p>
+        <button onClick={() => onNav("groups")} className="mt-3 text-sm text-[var(--accent)]">All small groups</button>
+      </section>
+    );
+  }
+  const { family: f, group } = found;
+  const byCode = Object.fromEntries(types.map((t) => [t.code, t]));
+  const members = group.members.map((code) => byCode[code]).filter(Boolean);
+  return (
+    <section className="pt-10">
+      <button onClick={() => onNav("groups")} className={cls("text-xs uppercase tracking-[0.2em]", darkMode ? "text-gray-400" : "text-neutral-600")}>
+        ← Small Groups
+      </button>
+      <div className="mt-4">
+        <RailHeading label={f.name} title={group.name} description={group.description} />
+      </div>
+      <p className={cls("mt-4 text-sm max-w-prose", darkMode ? "text-gray-400" : "text-neutral-700")}>{f.description}</p>
+      {group.values && (
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <span className={cls("text-xs uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>Valued elements</span>
+          {group.values.map((el) => (
+            <a key={el} href={`#/glossary/${el}`} className="label-pill font-mono">{el}</a>
+          ))}
+        </div>
+      )}
+      <div className="mt-6 grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {members.map((t) => (
+          <TypeCard key={t.code} type={t} onOpen={(code) => onNav("type", { code })} />
+        ))}
+      </div>
+      <div className="mt-8 flex flex-wrap gap-2">
+        {f.groups.filter((g) => g.id !== group.id).map((g) => (
+          <button
+            key={g.id}
+            onClick={() => onNav("group", { family: f.id, id: g.id })}
+            className={cls("text-xs px-2 py-1 rounded", darkMode ? "bg-gray-800 hover:bg-gray-700 text-white" : "bg-neutral-100 hover:bg-neutral-200 text-black")}
+          >
+            {g.name}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+}
+
 function Glossary({ glossary, focus, darkMode }) {
   const containerRef = useRef(null);
   useEffect(() => {
@@ -2238,6 +2249,7 @@ function Glossary({ glossary, focus, darkMode }) {
             <div className={cls("text-xs uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>Term</div>
             <div className={cls("text-lg font-mono", darkMode ? "text-white" : "text-black")}>{g.term}</div>
             <div className={cls("mt-1 text-sm", darkMode ? "text-gray-400" : "text-neutral-700")}>{g.shortDef}</div>
+            <SourceNote sources={sourcesFor(g, "shortDef")} darkMode={darkMode} className="mt-2" />
           </div>
         ))}
       </div>
@@ -2314,6 +2326,426 @@ function About({ darkMode }) {
   );
 }
 
+// Crawled article corpus, fetched once and shared; index is null when no corpus was built
+function useCorpusIndex() {
+  const [state, setState] = useState({ index: null, loading: true, error: null });
+  useEffect(() => {
+    let active = true;
+    fetchCorpusIndex()
+      .then((index) => active && setState({ index, loading: false, error: null }))
+      .catch((e) => active && setState({ index: null, loading: false, error: e.message }));
+    return () => {
+      active = false;
+    };
+  }, []);
+  return state;
+}
+
+// Only http(s) links survive; parsing first catches "java\nscript:" and other spellings the
+// browser would still run.
+function isWebUrl(href) {
+  try {
+    const { protocol } = new URL(href, window.location.href);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Reader HTML: wiki links become in-app routes (via `resolve`), in-page anchors scroll
+// instead of changing the route, and headings get ids for the table of contents.
+function prepareArticle(html, resolve, selfHash) {
+  const doc = new DOMParser().parseFromString(`<div>${html}</div>`, "text/html");
+  const root = doc.body.firstElementChild;
+  // The crawler sanitises article HTML; strip anything executable anyway
+  root.querySelectorAll("script, style, iframe, object, embed, form").forEach((el) => el.remove());
+  for (const el of root.querySelectorAll("*")) {
+    for (const attr of Array.from(el.attributes)) {
+      if (/^on/i.test(attr.name)) el.removeAttribute(attr.name);
+    }
+  }
+  for (const a of root.querySelectorAll("a[href]")) {
+    const href = a.getAttribute("href");
+    if (href.startsWith("#")) {
+      let anchor = href.slice(1);
+      try {
+        anchor = decodeURIComponent(anchor);
+      } catch {
+        // Malformed escape: look the raw id up instead
+      }
+      a.setAttribute("data-anchor", anchor);
+      a.setAttribute("href", selfHash);
+    } else if (!isWebUrl(href)) {
+      a.removeAttribute("href");
+    } else {
+      const route = a.dataset.title ? resolve(a.dataset.title) : null;
+      if (route) {
+        a.setAttribute("href", routeToHash(route));
+      } else {
+        a.setAttribute("target", "_blank");
+        a.setAttribute("rel", "noopener");
+      }
+    }
+  }
+  const toc = [];
+  const ids = new Set();
+  root.querySelectorAll("h2, h3, h4").forEach((h, i) => {
+    const text = (h.textContent || "").replace(/\s+/g, " ").trim();
+    if (!text) return;
+    // Older MediaWiki puts the anchor on an inner span.mw-headline
+    const inner = h.querySelector("[id]");
+    let id = h.id || (inner && inner.id) || `section-${i + 1}`;
+    if (inner) inner.removeAttribute("id");
+    while (ids.has(id)) id = `${id}-${i + 1}`;
+    ids.add(id);
+    h.id = id;
+    toc.push({ id, text, level: Number(h.tagName[1]) });
+  });
+  return { html: root.innerHTML, toc };
+}
+
+function WikiIndex({ darkMode }) {
+  const { index, loading, error } = useCorpusIndex();
+  const muted = darkMode ? "text-gray-400" : "text-neutral-700";
+  const groups = index
+    ? Object.entries(index.categories || {})
+        .map(([id, name]) => ({ id, name, articles: index.articles.filter((a) => a.categories.includes(id)) }))
+        .filter((g) => g.articles.length)
+    : [];
+  return (
+    <section className="pt-10">
+      <RailHeading label="Section" title="Wiki" description="Wiki articles stored with the app and readable offline. Links between them stay in the app." />
+      {loading && <p className={cls("mt-6 text-sm", muted)}>Loading…</p>}
+      {error && <p className={cls("mt-6 text-sm", muted)}>Could not load the article index: {error}</p>}
+      {!loading && !error && !index && (
+        <p className={cls("mt-6 text-sm", muted)}>
+          This build has no article corpus. Run <code className="font-mono">npm run crawl</code> to create one.
+        </p>
+      )}
+      <div className="mt-6 space-y-8">
+        {groups.map((g) => (
+          <div key={g.id}>
+            <h2 className={cls("text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>{g.name}</h2>
+            <div className="mt-4 grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+              {g.articles.map((a) => (
+                <a key={a.slug} href={`#/wiki/${wikiPath(a.title)}`} className="card p-4 hover:border-[var(--accent)]">
+                  <div className={cls("text-lg font-semibold", darkMode ? "text-white" : "text-black")}>{a.displayTitle || a.title}</div>
+                  {a.summary && <p className={cls("mt-1 text-sm line-clamp-3", muted)}>{a.summary}</p>}
+                </a>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function WikiReader({ title, darkMode }) {
+  const { index, loading, error } = useCorpusIndex();
+  const [article, setArticle] = useState(null);
+  const [articleError, setArticleError] = useState(null);
+  const bodyRef = useRef(null);
+  const entry = index
+    ? index.articles.find((a) => normalizeTitle(a.title) === title || normalizeTitle(a.displayTitle || "") === title)
+    : null;
+  const slug = entry ? entry.slug : null;
+
+  useEffect(() => {
+    if (!slug) return;
+    let active = true;
+    setArticle(null);
+    setArticleError(null);
+    const titles = new Set(index.articles.map((a) => normalizeTitle(a.title)));
+    fetchArticle(slug)
+      .then((a) => {
+        if (!active) return;
+        const prepared = prepareArticle(a.html || "", (target) => wikiTarget(target, titles), routeToHash({ name: "wiki", title: entry.title }));
+        setArticle({ ...a, ...prepared });
+      })
+      .catch((e) => active && setArticleError(e.message));
+    return () => {
+      active = false;
+    };
+  }, [slug]);
+
+  const scrollToId = (id) => {
+    const el = bodyRef.current && bodyRef.current.querySelector(`#${CSS.escape(id)}`);
+    if (el && el.scrollIntoView) el.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+  const onBodyClick = (e) => {
+    const a = e.target.closest && e.target.closest("a[data-anchor]");
+    if (!a) return;
+    e.preventDefault();
+    scrollToId(a.dataset.anchor);
+  };
+
+  const muted = darkMode ? "text-gray-400" : "text-neutral-700";
+  return (
+    <section className="pt-10">
+      <a href="#/wiki" className={cls("text-xs uppercase tracking-[0.2em]", darkMode ? "text-gray-400" : "text-neutral-600")}>
+        ← Wiki
+      </a>
+      {(loading || (entry && !article && !articleError)) && <p className={cls("mt-6 text-sm", muted)}>Loading…</p>}
+      {(error || articleError) && <p className={cls("mt-6 text-sm", muted)}>Could not load this article: {error || articleError}</p>}
+      {!loading && !error && !entry && (
+        <p className={cls("mt-6 text-sm", muted)}>“{title}” is not in the offline corpus.</p>
+      )}
+      {article && (
+        <div className="mt-4 grid lg:grid-cols-12 gap-8">
+          <article className="lg:col-span-8 card p-6">
+            <h1 className={cls("text-4xl font-semibold tracking-tight", darkMode ? "text-white" : "text-black")}>{article.displayTitle || article.title}</h1>
+            <div className={cls("mt-2 text-xs", darkMode ? "text-gray-500" : "text-neutral-500")}>
+              Offline copy{article.revId ? ` of revision ${article.revId}` : ""}
+              {article.url && (
+                <>
+                  {" · "}
+                  <a href={article.url} target="_blank" rel="noopener" className="inline-flex items-center gap-1 text-[var(--accent)]">
+                    Wiki page <ExternalLink className="h-3 w-3" />
+                  </a>
+                </>
+              )}
+            </div>
+            <div
+              ref={bodyRef}
+              onClick={onBodyClick}
+              className={cls("wiki-article mt-6", darkMode ? "text-gray-300" : "text-neutral-900")}
+              dangerouslySetInnerHTML={{ __html: article.html }}
+            />
+          </article>
+          {article.toc.length > 0 && (
+            <aside className="lg:col-span-4">
+              <nav className="card p-4 lg:sticky lg:top-24" aria-label="Contents">
+                <h2 className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>Contents</h2>
+                <ol className="mt-3 space-y-1 text-sm">
+                  {article.toc.map((item) => (
+                    <li key={item.id} style={{ paddingLeft: `${(item.level - 2) * 12}px` }}>
+                      <button onClick={() => scrollToId(item.id)} className={cls("text-left hover:text-[var(--accent)]", muted)}>
+                        {item.text}
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              </nav>
+            </aside>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+const CHANGE_LABELS = { added: "+", removed: "−", changed: "~" };
+
+function Changelog({ types, onNav, darkMode }) {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    let active = true;
+    fetchChangelog()
+      .then((list) => active && setEntries(list))
+      .catch((e) => active && setError(e.message));
+    return () => {
+      active = false;
+    };
+  }, []);
+  const typeCodes = new Set(types.map((t) => t.code));
+  const muted = darkMode ? "text-gray-400" : "text-neutral-700";
+  return (
+    <section className="pt-10 max-w-4xl">
+      <RailHeading label="Data" title="Changelog" description="What each data refresh changed, per type, field and relation. Written by the scraper; newest first." />
+      {error && <p className={cls("mt-6 text-sm", muted)}>Could not load the changelog: {error}</p>}
+      {!error && !entries && <p className={cls("mt-6 text-sm", muted)}>Loading…</p>}
+      {entries && entries.length === 0 && (
+        <p className={cls("mt-6 text-sm", muted)}>No data refreshes recorded yet. Each scrape that changes the data adds an entry here.</p>
+      )}
+      <div className="mt-6 space-y-6">
+        {(entries || []).map((entry) => {
+          // Group field changes under their record so each type or relation reads as one block
+          const groups = [];
+          for (const c of entry.changes) {
+            const key = `${c.file}:${c.record}`;
+            let group = groups.find((g) => g.key === key);
+            if (!group) groups.push((group = { key, file: c.file, record: c.record, changes: [] }));
+            group.changes.push(c);
+          }
+          const revisions = Object.entries(entry.revisions || {});
+          return (
+            <article key={entry.generatedAt} className="card p-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <h2 className={cls("text-lg font-semibold", darkMode ? "text-white" : "text-black")}>
+                  {new Date(entry.generatedAt).toLocaleString()}
+                </h2>
+                <div className={cls("text-xs uppercase tracking-wide", darkMode ? "text-gray-500" : "text-neutral-500")}>
+                  {entry.source ? `${entry.source} · ` : ""}
+                  {entry.summary.added || 0} added · {entry.summary.removed || 0} removed · {entry.summary.changed || 0} changed
+                </div>
+              </div>
+              {entry.previousGeneratedAt && (
+                <div className={cls("mt-1 text-xs", darkMode ? "text-gray-500" : "text-neutral-500")}>
+                  Since {new Date(entry.previousGeneratedAt).toLocaleString()}
+                </div>
+              )}
+              {revisions.length > 0 && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {revisions.map(([code, rev]) => (
+                    <span key={code} className="label-pill font-mono">
+                      {code} rev {rev.from != null ? `${rev.from} → ` : ""}{rev.to}
+                    </span>
+                  ))}
+                </div>
+              )}
+              <div className="mt-4 space-y-3">
+                {groups.map((g) => (
+                  <div key={g.key}>
+                    <div className={cls("text-sm font-semibold", darkMode ? "text-white" : "text-black")}>
+                      {g.file === "types.json" && typeCodes.has(g.record) ? (
+                        <button onClick={() => onNav("type", { code: g.record })} className="hover:text-[var(--accent)]">{g.record}</button>
+                      ) : g.file === "relations.json" ? (
+                        <button onClick={() => onNav("relations")} className="hover:text-[var(--accent)]">{g.record}</button>
+                      ) : (
+                        g.record
+                      )}
+                      <span className={cls("ml-2 font-mono text-xs font-normal", darkMode ? "text-gray-500" : "text-neutral-500")}>{g.file}</span>
+                    </div>
+                    <ul className={cls("mt-1 space-y-1 text-sm", muted)}>
+                      {g.changes.map((c, i) => (
+                        <li key={i} className="flex gap-2">
+                          <span className="font-mono w-3 shrink-0 text-[var(--accent)]">{CHANGE_LABELS[c.change] || "?"}</span>
+                          <span className="min-w-0">
+                            <span className="font-mono text-xs">{c.field || `record ${c.change}`}</span>
+                            {c.change === "changed" && (
+                              <span className="block text-xs">
+                                <span className="line-through opacity-60">{String(c.before)}</span> → {String(c.after)}
+                              </span>
+                            )}
+                            {c.change === "added" && c.field && <span className="block text-xs">{String(c.after)}</span>}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </article>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+// Data sources: the provider chain (src/data/providers.js) and each provider's options.
+// Saved to localStorage; saving reloads the data with the new chain.
+function DataSettings({ settings, onSave, meta, darkMode }) {
+  const providers = listProviders();
+  const [chain, setChain] = useState(settings.chain);
+  const [config, setConfig] = useState(settings.config || {});
+  const [health, setHealth] = useState({});
+  const [saved, setSaved] = useState(false);
+  const muted = darkMode ? "text-gray-400" : "text-neutral-700";
+  const labelOf = (id) => (providers.find((p) => p.id === id) || { label: id }).label;
+  const move = (i, delta) =>
+    setChain((c) => {
+      const next = [...c];
+      [next[i], next[i + delta]] = [next[i + delta], next[i]];
+      return next;
+    });
+  const setOption = (id, key, value) => setConfig((c) => ({ ...c, [id]: { ...(c[id] || {}), [key]: value } }));
+  const runChecks = () => {
+    for (const id of chain) {
+      setHealth((h) => ({ ...h, [id]: { detail: "checking…" } }));
+      const options = Object.fromEntries(Object.entries(config[id] || {}).filter(([, v]) => v));
+      let provider;
+      try {
+        provider = createProvider(id, options);
+      } catch (e) {
+        setHealth((h) => ({ ...h, [id]: { ok: false, detail: e.message } }));
+        continue;
+      }
+      provider.health().then((result) => setHealth((h) => ({ ...h, [id]: result })));
+    }
+  };
+  const save = () => {
+    saveProviderSettings({ chain, config });
+    onSave(providerSettings());
+    setSaved(true);
+  };
+  const reset = () => {
+    clearProviderSettings();
+    const defaults = providerSettings();
+    setChain(defaults.chain);
+    setConfig(defaults.config);
+    onSave(defaults);
+    setSaved(true);
+  };
+  return (
+    <section className="pt-10 max-w-4xl">
+      <RailHeading
+        label="Data"
+        title="Data sources"
+        description="Where the app loads its data. The first source is shown at once; the ones after it refresh it in the background, first to answer wins."
+      />
+      <p className={cls("mt-4 text-sm", muted)}>
+        {settings.origin === "settings" ? "Using sources saved in this browser." : settings.origin === "env" ? "Using the sources configured for this build (VITE_DATA_PROVIDERS)." : "Using the default sources."}
+        {meta && meta.generatedAt ? ` Data on screen generated ${new Date(meta.generatedAt).toLocaleString()}.` : ""}
+      </p>
+      <ol className="mt-6 space-y-3">
+        {chain.map((id, i) => {
+          const provider = providers.find((p) => p.id === id);
+          const status = health[id];
+          return (
+            <li key={id} className="card p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>
+                  {i + 1}. {labelOf(id)} <span className={cls("text-xs font-normal", muted)}>{i === 0 ? "shown first" : "refresh"}</span>
+                </div>
+                <div className="flex gap-2 text-xs">
+                  <button className="btn btn-secondary" disabled={i === 0} onClick={() => move(i, -1)} aria-label={`Move ${labelOf(id)} up`}>↑</button>
+                  <button className="btn btn-secondary" disabled={i === chain.length - 1} onClick={() => move(i, 1)} aria-label={`Move ${labelOf(id)} down`}>↓</button>
+                  <button className="btn btn-secondary" disabled={chain.length === 1} onClick={() => setChain((c) => c.filter((x) => x !== id))}>Remove</button>
+                </div>
+              </div>
+              {(provider ? provider.options : []).map((opt) => (
+                <label key={opt.key} className={cls("mt-3 block text-xs uppercase tracking-[0.14em]", muted)}>
+                  {opt.label}
+                  <input
+                    value={(config[id] && config[id][opt.key]) || ""}
+                    onChange={(e) => setOption(id, opt.key, e.target.value)}
+                    placeholder={opt.placeholder}
+                    className="mt-1 w-full border-2 border-[var(--ink)] px-2 py-2 bg-white dark:bg-[#0f1016] text-sm normal-case tracking-normal text-neutral-900 dark:text-gray-100"
+                  />
+                </label>
+              ))}
+              {status && (
+                <div className={cls("mt-2 text-xs", status.ok === false ? "text-red-700" : muted)}>
+                  {status.ok === true ? "OK: " : status.ok === false ? "Unavailable: " : ""}
+                  {status.detail}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      <div className="mt-4 flex flex-wrap items-center gap-2 text-xs">
+        {providers
+          .filter((p) => !chain.includes(p.id))
+          .map((p) => (
+            <button key={p.id} className="btn btn-secondary" onClick={() => setChain((c) => [...c, p.id])}>
+              Add {p.label}
+            </button>
+          ))}
+      </div>
+      <div className="mt-6 flex flex-wrap gap-2">
+        <button className="btn btn-secondary" onClick={runChecks}>Check sources</button>
+        <button className="btn btn-primary" onClick={save}>Save and reload data</button>
+        <button className="btn btn-secondary" onClick={reset}>Reset to build defaults</button>
+      </div>
+      {saved && <p className={cls("mt-3 text-sm", muted)} role="status">Saved. Data is reloading from the new sources.</p>}
+    </section>
+  );
+}
+
 function StartHere({ onNav, darkMode, types, glossary }) {
   const [step, setStep] = useState(1);
   const totalSteps = 3;
@@ -2501,7 +2933,7 @@ function StartHere({ onNav, darkMode, types, glossary }) {
   );
 }
 
-function TypeCompare({ types, duals, darkMode, initialA, initialB, onNav }) {
+function TypeCompare({ types, relations, darkMode, initialA, initialB, onNav }) {
   const [typeA, setTypeA] = useState(initialA || "ILE");
   const [typeB, setTypeB] = useState(initialB || "SEI");
 
@@ -2521,9 +2953,9 @@ function TypeCompare({ types, duals, darkMode, initialA, initialB, onNav }) {
   const a = byCode[typeA];
   const b = byCode[typeB];
   
-  // Check if they are duals
-  const pairKey = [typeA, typeB].sort().join("-");
-  const isDual = duals.has(pairKey);
+  // Intertype relation from the shared engine, plus the dataset text for its kind
+  const rel = relationInfo(a, b);
+  const record = (relations || []).find((r) => r.name === rel.kind);
   
   // Find shared traits
   const sharedQuadra = a.quadra === b.quadra;
@@ -2531,11 +2963,14 @@ function TypeCompare({ types, duals, darkMode, initialA, initialB, onNav }) {
   const sharedLeading = a.leading === b.leading;
   const sharedCreative = a.creative === b.creative;
   
-  // Function comparison
-  const functionComparison = [
-    { name: "Leading Function", a: a.leading, b: b.leading, same: a.leading === b.leading },
-    { name: "Creative Function", a: a.creative, b: b.creative, same: a.creative === b.creative },
-  ];
+  // Function comparison across all eight Model A positions
+  const modelB = computeModelA(b.leading, b.creative);
+  const functionComparison = computeModelA(a.leading, a.creative).map((p, i) => ({
+    name: `${p.position}. ${p.name}`,
+    a: p.element,
+    b: modelB[i].element,
+    same: p.element === modelB[i].element,
+  }));
   
   const copyLink = async () => {
     const url = typeof window !== 'undefined' ? window.location.href : '';
@@ -2638,14 +3073,10 @@ function TypeCompare({ types, duals, darkMode, initialA, initialB, onNav }) {
       <div className="mt-6 card p-6">
         <h2 className={cls("text-2xl font-semibold", darkMode ? "text-white" : "text-black")}>Comparison</h2>
         
-        {isDual && (
-          <div className={cls("mt-4 p-3 border rounded", darkMode ? "bg-red-900/30 border-red-800" : "bg-red-50 border-red-200")}>
-            <div className={cls("font-semibold", darkMode ? "text-red-200" : "text-red-800")}>Duality Pair</div>
-            <p className={cls("mt-1", darkMode ? "text-red-300" : "text-red-700")}>
-              These types form a duality pair, which means they have complementary strengths and can provide what the other lacks.
-            </p>
-          </div>
-        )}
+        <div className="mt-4 p-3 border-2" style={{ borderColor: rel.color }}>
+          <div className="font-semibold" style={{ color: rel.color }}>{rel.label}</div>
+          <RelationText rel={rel} record={record} darkMode={darkMode} />
+        </div>
         
         <div className="mt-4">
           <h3 className={cls("font-semibold", darkMode ? "text-white" : "text-black")}>Shared Traits</h3>
@@ -2679,7 +3110,7 @@ function TypeCompare({ types, duals, darkMode, initialA, initialB, onNav }) {
             <table className="table">
               <thead>
                 <tr>
-                  <th>Function</th>
+                  <th>Position</th>
                   <th>{a.code}</th>
                   <th>{b.code}</th>
                   <th>Match</th>
@@ -2725,9 +3156,12 @@ function SiteFooter({ darkMode, generatedAt }) {
             <a className={cls("hover:", darkMode ? "text-gray-300" : "text-neutral-900")} href="https://wikisocion.github.io/" target="_blank" rel="noopener">
               Archive
             </a>
-            <a className={cls("hover:", darkMode ? "text-gray-300" : "text-neutral-900")} href="#">
+            <a className={cls("hover:", darkMode ? "text-gray-300" : "text-neutral-900")} href="#/changelog">
               Changelog
             </a>
+            <a className={cls("hover:", darkMode ? "text-gray-300" : "text-neutral-900")} href="#/settings">
+              Data sources
+            </a>
             <a className={cls("hover:", darkMode ? "text-gray-300" : "text-neutral-900")} href="#">
               Contribute
             </a>
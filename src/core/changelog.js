@@ -0,0 +1,127 @@
+// Data changelog: what changed between two scraped bundles, per type, field and relation.
+// The scraper prepends one entry per run that changed anything to public/data/changelog.json.
+
+// Entries kept in changelog.json, newest first
+export const CHANGELOG_LIMIT = 50;
+
+// Longest before/after text stored per change; the full text lives in the bundle itself
+const CLIP = 240;
+
+// The bundle files that carry content; search.json is derived and meta.json changes every run
+const FILES = [
+  { file: "types.json", list: "types", keyOf: (t) => t.code },
+  { file: "relations.json", list: "relations", keyOf: (r) => r.name },
+  { file: "glossary.json", list: "glossary", keyOf: (g) => g.term },
+];
+
+// revId is tracked separately as entry.revisions; sources follow the text they describe
+const SKIP_FIELDS = new Set(["revId", "sources"]);
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Primitives are stored as-is; whole objects and arrays as clipped JSON
+function clip(value) {
+  const text = value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+  if (typeof text !== "string") return text;
+  return text.length > CLIP ? `${text.slice(0, CLIP - 1)}…` : text;
+}
+
+// Array items keyed by `id` or `position` are matched by key, so reordering is not a change
+function itemKey(v) {
+  if (!isObject(v)) return null;
+  return v.id != null ? v.id : v.position != null ? v.position : null;
+}
+
+// Field paths look like "overview", "content.modelA[3].description" or "subtypes[D].summary".
+// A subtree that appears or disappears as a whole is one change at its own path.
+function diffValue(file, record, field, before, after, out) {
+  if (isObject(before) && isObject(after)) {
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!field && SKIP_FIELDS.has(k)) continue;
+      diffValue(file, record, field ? `${field}.${k}` : k, before[k], after[k], out);
+    }
+    return out;
+  }
+  if (Array.isArray(before) && Array.isArray(after) && [...before, ...after].every((v) => itemKey(v) != null)) {
+    const a = new Map(before.map((v) => [itemKey(v), v]));
+    const b = new Map(after.map((v) => [itemKey(v), v]));
+    for (const k of new Set([...a.keys(), ...b.keys()])) {
+      diffValue(file, record, `${field}[${k}]`, a.get(k), b.get(k), out);
+    }
+    return out;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return out;
+  const change = before === undefined ? "added" : after === undefined ? "removed" : "changed";
+  const entry = { file, record, field, change };
+  if (before !== undefined) entry.before = clip(before);
+  if (after !== undefined) entry.after = clip(after);
+  out.push(entry);
+  return out;
+}
+
+function byKey(list, keyOf) {
+  const map = new Map();
+  for (const value of Array.isArray(list) ? list : []) {
+    const key = value && keyOf(value);
+    if (key && !map.has(key)) map.set(key, value);
+  }
+  return map;
+}
+
+// Changes from `prev` to `next` ({ types, relations, glossary }), as
+// [{ file, record, field, change: "added" | "removed" | "changed", before?, after? }].
+// Whole records that appear or disappear are one change with field null.
+export function diffBundles(prev, next) {
+  const changes = [];
+  for (const { file, list, keyOf } of FILES) {
+    const before = byKey(prev && prev[list], keyOf);
+    const after = byKey(next && next[list], keyOf);
+    for (const [record, value] of after) {
+      if (!before.has(record)) changes.push({ file, record, field: null, change: "added" });
+      else diffValue(file, record, null, before.get(record), value, changes);
+    }
+    for (const record of before.keys()) {
+      if (!after.has(record)) changes.push({ file, record, field: null, change: "removed" });
+    }
+  }
+  return changes;
+}
+
+// Type pages whose wiki revision moved: { [code]: { from, to } }
+function revisionChanges(prev, next) {
+  const before = byKey(prev && prev.types, (t) => t.code);
+  const out = {};
+  for (const t of Array.isArray(next && next.types) ? next.types : []) {
+    if (!t || !Number.isInteger(t.revId)) continue;
+    const old = before.get(t.code);
+    const from = old && Number.isInteger(old.revId) ? old.revId : null;
+    if (from !== t.revId) out[t.code] = { from, to: t.revId };
+  }
+  return out;
+}
+
+// One changelog entry, or null when nothing changed (most builds re-scrape identical pages).
+export function changelogEntry(prev, next, { source } = {}) {
+  const changes = diffBundles(prev, next);
+  const revisions = revisionChanges(prev, next);
+  if (!changes.length && !Object.keys(revisions).length) return null;
+  const count = (kind) => changes.filter((c) => c.change === kind).length;
+  const entry = { generatedAt: next.meta && next.meta.generatedAt };
+  if (prev && prev.meta && typeof prev.meta.generatedAt === "string") entry.previousGeneratedAt = prev.meta.generatedAt;
+  if (source) entry.source = source;
+  entry.summary = {
+    records: new Set(changes.map((c) => `${c.file}:${c.record}`)).size,
+    added: count("added"),
+    removed: count("removed"),
+    changed: count("changed"),
+  };
+  entry.revisions = revisions;
+  entry.changes = changes;
+  return entry;
+}
+
+// Prepends `entry` to a changelog ({ entries }), keeping the newest `limit` entries.
+export function appendChangelog(log, entry, limit = CHANGELOG_LIMIT) {
+  const entries = log && Array.isArray(log.entries) ? log.entries : [];
+  return { entries: [entry, ...entries].slice(0, limit) };
+}
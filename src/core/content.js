@@ -0,0 +1,122 @@
+// Structured type content: the prose TypeDetail renders, mapped from wiki page sections.
+// Scraped sections override the curated seed (data/type-content.json) field by field.
+import { egoFromCode, modelAElements } from "./socionics.js";
+import { truncateAtSentence } from "./lead.js";
+
+// Section heading -> content field; the first matching section wins.
+const SECTION_FIELDS = [
+  { path: ["characteristics", "strengths"], pattern: /strength/i },
+  { path: ["characteristics", "challenges"], pattern: /challenge|weakness|difficult/i },
+  { path: ["interaction", "communication"], pattern: /communicat|conversation/i },
+  { path: ["interaction", "work"], pattern: /\bwork|career|profession|learning/i },
+  { path: ["interaction", "decision"], pattern: /decision/i },
+  { path: ["nuances"], pattern: /nuance|misidentif|caveat/i },
+];
+
+// Model A headings, e.g. "Leading function: Ti", "Vulnerable (PoLR)", "Mobilizing / activating".
+const POSITION_HEADINGS = [
+  [1, /^(leading|base|dominant|program)/i],
+  [2, /^creative/i],
+  [3, /^role/i],
+  [4, /^(vulnerable|polr|point of least resistance)/i],
+  [5, /^(suggestive|dual-seeking)/i],
+  [6, /^(mobilizing|mobilising|activating|hidden agenda)/i],
+  [7, /^(ignoring|observing|restricting)/i],
+  [8, /^(demonstrative|background)/i],
+];
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Content fields found on a page, as [{ path, value, anchor }]; `path` is relative to content
+// ("characteristics.strengths", "modelA[4]") and `anchor` is the section's heading id.
+function mapSections(code, lead, sections) {
+  const found = [];
+  if (lead && lead.length) found.push({ path: "summary", value: truncateAtSentence(lead.join(" "), 1200), anchor: null });
+
+  const { leading, creative } = egoFromCode(code);
+  const model = modelAElements(leading, creative);
+  const taken = new Set();
+  for (const { heading, text, anchor } of sections || []) {
+    // Subtype sections ("Creative subtype") belong to subtypes.js, not Model A
+    if (!isText(text) || /subtype/i.test(heading)) continue;
+    const field = SECTION_FIELDS.find((f) => f.pattern.test(heading));
+    if (field) {
+      const path = field.path.join(".");
+      if (!taken.has(path)) found.push({ path, value: truncateAtSentence(text, 800), anchor: anchor || null });
+      taken.add(path);
+      continue;
+    }
+    const position = (POSITION_HEADINGS.find(([, p]) => p.test(heading)) || [])[0];
+    const path = `modelA[${position}]`;
+    if (position && !taken.has(path)) {
+      found.push({ path, value: { position, element: model[position - 1], description: truncateAtSentence(text, 300) }, anchor: anchor || null });
+      taken.add(path);
+    }
+  }
+  return found;
+}
+
+// Partial content from a page: `lead` paragraphs plus [{ heading, text, anchor? }] sections.
+export function contentFromSections(code, lead, sections) {
+  const content = {};
+  const modelA = [];
+  for (const { path, value } of mapSections(code, lead, sections)) {
+    if (path.startsWith("modelA[")) {
+      modelA.push(value);
+      continue;
+    }
+    const [group, key] = path.split(".");
+    if (!key) content[group] = value;
+    else content[group] = { ...content[group], [key]: value };
+  }
+  if (modelA.length) content.modelA = modelA.sort((a, b) => a.position - b.position);
+  return content;
+}
+
+// Section anchor for every field contentFromSections fills: { "content.modelA[4]": "Vulnerable", ... }
+// (null for the lead, which has no heading).
+export function contentAnchors(code, lead, sections) {
+  return Object.fromEntries(mapSections(code, lead, sections).map(({ path, anchor }) => [`content.${path}`, anchor]));
+}
+
+// Paths of the text fields present in `content`, in the same notation as contentAnchors.
+export function contentFields(content) {
+  if (!isObject(content)) return [];
+  const fields = [];
+  for (const [name, value] of Object.entries(content)) {
+    if (name === "modelA" && Array.isArray(value)) {
+      for (const n of value) if (n && Number.isInteger(n.position)) fields.push(`content.modelA[${n.position}]`);
+    } else if (isObject(value)) {
+      for (const [key, text] of Object.entries(value)) if (isText(text)) fields.push(`content.${name}.${key}`);
+    } else if (isText(value)) {
+      fields.push(`content.${name}`);
+    }
+  }
+  return fields;
+}
+
+// `override` wins wherever it has text; Model A notes merge by position.
+export function mergeContent(base, override) {
+  const a = isObject(base) ? base : {};
+  const b = isObject(override) ? override : {};
+  const pick = (x, y) => (isText(y) ? y : x);
+  const group = (name) => {
+    const x = isObject(a[name]) ? a[name] : {};
+    const y = isObject(b[name]) ? b[name] : {};
+    const keys = [...new Set([...Object.keys(x), ...Object.keys(y)])];
+    return keys.length ? Object.fromEntries(keys.map((k) => [k, pick(x[k], y[k])])) : undefined;
+  };
+  const notes = new Map();
+  for (const n of [...(Array.isArray(a.modelA) ? a.modelA : []), ...(Array.isArray(b.modelA) ? b.modelA : [])]) {
+    if (n && Number.isInteger(n.position)) notes.set(n.position, n);
+  }
+  const merged = {
+    summary: pick(a.summary, b.summary),
+    characteristics: group("characteristics"),
+    modelA: notes.size ? [...notes.values()].sort((x, y) => x.position - y.position) : undefined,
+    interaction: group("interaction"),
+    nuances: pick(a.nuances, b.nuances),
+  };
+  return Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== undefined));
+}
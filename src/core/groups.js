@@ -0,0 +1,101 @@
+// Small groups: standard four-type groupings, each computed from the type code.
+import { TYPE_CODES, QUADRA_VALUES, deriveType, isExtraverted, isRational } from "./socionics.js";
+
+const FAMILIES = [
+  {
+    id: "quadras",
+    name: "Quadras",
+    description: "Groups sharing the same four valued elements (Ego and Super-id).",
+    groups: [
+      { id: "alpha", name: "Alpha", description: "Light, playful exchange of ideas in a comfortable setting." },
+      { id: "beta", name: "Beta", description: "Collective drive, hierarchy and emotionally charged causes." },
+      { id: "gamma", name: "Gamma", description: "Independent pursuit of results, candour and personal loyalty." },
+      { id: "delta", name: "Delta", description: "Steady, practical work and a calm, well-kept environment." },
+    ],
+    groupOf: (t) => t.quadra.toLowerCase(),
+  },
+  {
+    id: "clubs",
+    name: "Clubs",
+    description: "Groups sharing the same pair of Ego aspects, and with them a sphere of interest.",
+    groups: [
+      { id: "researchers", name: "Researchers", aspects: "NT", description: "Intuitive-logical: ideas, theories and systems." },
+      { id: "socials", name: "Socials", aspects: "SF", description: "Sensing-ethical: people, comfort and everyday life." },
+      { id: "pragmatists", name: "Pragmatists", aspects: "ST", description: "Sensing-logical: practical matters, tools and organisation." },
+      { id: "humanitarians", name: "Humanitarians", aspects: "NF", description: "Intuitive-ethical: human potential, meaning and relationships." },
+    ],
+    groupOf: (t) => t.club.toLowerCase(),
+  },
+  {
+    id: "temperaments",
+    name: "Temperaments",
+    description: "Groups sharing extraversion and rationality, and with them a pace of activity.",
+    groups: [
+      { id: "ej", name: "Linear-assertive", code: "EJ", description: "Extraverted rationals: direct, sustained pressure toward a goal." },
+      { id: "ep", name: "Flexible-maneuvering", code: "EP", description: "Extraverted irrationals: quick switching between opportunities." },
+      { id: "ij", name: "Balanced-stable", code: "IJ", description: "Introverted rationals: measured, even and consistent effort." },
+      { id: "ip", name: "Receptive-adaptive", code: "IP", description: "Introverted irrationals: adjust to circumstances, conserve energy." },
+    ],
+    groupOf: (t) => t.temperament.toLowerCase(),
+  },
+  {
+    id: "romance",
+    name: "Romance styles",
+    description: "Groups describing the role a type tends to take when courting.",
+    groups: [
+      { id: "childlike", name: "Childlike", description: "Alpha and Delta irrationals: playful, seek care and a light atmosphere." },
+      { id: "caregivers", name: "Caregivers", description: "Alpha and Delta rationals: nurture, protect and look after the partner." },
+      { id: "aggressors", name: "Aggressors", description: "Beta and Gamma types with Se in the Ego: pursue openly and take the initiative." },
+      { id: "victims", name: "Victims", description: "Beta and Gamma types with Ni in the Ego: invite pursuit and test the partner's resolve." },
+    ],
+    groupOf: (t) => {
+      if (t.quadra === "Alpha" || t.quadra === "Delta") {
+        return t.temperament.endsWith("J") ? "caregivers" : "childlike";
+      }
+      // Beta and Gamma share Se and Ni; the Ego holds one of them
+      const irrational = isRational(t.leading) ? t.creative : t.leading;
+      return irrational === "Se" ? "aggressors" : "victims";
+    },
+  },
+  {
+    id: "communication",
+    name: "Communication styles",
+    description: "Gulenko's groups by the extraverted element of the Ego, which colours how a type addresses others.",
+    groups: [
+      { id: "emotive", name: "Emotive", element: "Fe", description: "Engage through shared mood, expression and enthusiasm." },
+      { id: "businesslike", name: "Businesslike", element: "Te", description: "Engage through facts, usefulness and getting things done." },
+      { id: "imperative", name: "Imperative", element: "Se", description: "Engage through pressure, presence and clear demands." },
+      { id: "exploratory", name: "Exploratory", element: "Ne", description: "Engage through questions, ideas and possibilities." },
+    ],
+    groupOf: (t) => {
+      const element = isExtraverted(t.leading) ? t.leading : t.creative;
+      return { Fe: "emotive", Te: "businesslike", Se: "imperative", Ne: "exploratory" }[element];
+    },
+  },
+];
+
+const DERIVED = TYPE_CODES.map(deriveType);
+
+// Catalogue with member codes resolved; quadras also list their valued elements.
+export const GROUP_FAMILIES = FAMILIES.map(({ groupOf, ...family }) => ({
+  ...family,
+  groups: family.groups.map((g) => ({
+    ...g,
+    ...(family.id === "quadras" ? { values: QUADRA_VALUES[g.name] } : {}),
+    members: DERIVED.filter((t) => groupOf(t) === g.id).map((t) => t.code),
+  })),
+}));
+
+export function getGroup(familyId, groupId) {
+  const family = GROUP_FAMILIES.find((f) => f.id === familyId);
+  const group = family && family.groups.find((g) => g.id === groupId);
+  return group ? { family, group } : null;
+}
+
+// Every group a type belongs to, one per family.
+export function groupsFor(code) {
+  return GROUP_FAMILIES.map((family) => ({
+    family,
+    group: family.groups.find((g) => g.members.includes(code)),
+  }));
+}
@@ -0,0 +1,129 @@
+// Lead text for wiki pages: candidate paragraphs are scored, the best one wins and long text is
+// cut on a sentence boundary. Callers (scraper on cheerio, live loader on the DOM) collect the
+// paragraph texts; this module only ranks and trims them.
+
+// Infobox, caption, navigation and footnote markup inside page HTML; remove it or skip
+// paragraphs under it before reading paragraph text.
+export const LEAD_NOISE = [
+  "table",
+  ".infobox",
+  ".thumb",
+  ".thumbcaption",
+  "figure",
+  "figcaption",
+  ".navbox",
+  ".hatnote",
+  ".toc",
+  "#toc",
+  ".mw-editsection",
+  "sup.reference",
+  ".mw-references-wrap",
+  ".mw-empty-elt",
+].join(", ");
+
+// A period after these does not end a sentence
+const ABBREVIATIONS = new Set(["e.g", "i.e", "etc", "vs", "cf", "approx", "ca", "no", "fig", "dr", "mr", "mrs", "ms", "prof", "st"]);
+
+// "e.g. this" or "A. Augusta" do not end a sentence; "types. The" does
+function endsSentence(text, i) {
+  const before = text.slice(0, i + 1);
+  const word = /([A-Za-z.]+)\.$/.exec(before);
+  if (word && (ABBREVIATIONS.has(word[1].toLowerCase()) || /^[A-Z]$/.test(word[1]))) return false;
+  return /^\s+["'“(]?[A-Z0-9]/.test(text.slice(i + 1)) || i === text.length - 1;
+}
+
+export function splitSentences(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  const sentences = [];
+  let start = 0;
+  for (let i = 0; i < clean.length; i++) {
+    if (!".!?".includes(clean[i])) continue;
+    // Keep closing quotes and brackets with their sentence
+    let end = i;
+    while (end + 1 < clean.length && "\"'”)]".includes(clean[end + 1])) end++;
+    if (!endsSentence(clean, end)) continue;
+    sentences.push(clean.slice(start, end + 1).trim());
+    start = end + 1;
+    i = end;
+  }
+  if (start < clean.length && clean.slice(start).trim()) sentences.push(clean.slice(start).trim());
+  return sentences;
+}
+
+// Whole sentences up to `max` characters. A first sentence longer than `max` is cut at a
+// word boundary and marked with an ellipsis.
+export function truncateAtSentence(text, max) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= max) return clean;
+  let out = "";
+  for (const sentence of splitSentences(clean)) {
+    const next = out ? `${out} ${sentence}` : sentence;
+    if (next.length > max) break;
+    out = next;
+  }
+  if (out) return out;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:–-]+$/, "")}…`;
+}
+
+// Paragraphs joined by blank lines up to `max` characters; the last one that fits only in part
+// is cut on a sentence boundary.
+export function truncateParagraphs(paragraphs, max) {
+  const out = [];
+  let length = 0;
+  for (const paragraph of paragraphs) {
+    const room = max - length - (out.length ? 2 : 0);
+    if (room < 40) break;
+    const text = truncateAtSentence(paragraph, room);
+    out.push(text);
+    length += text.length + (out.length > 1 ? 2 : 0);
+    if (text.length < paragraph.replace(/\s+/g, " ").trim().length) break;
+  }
+  return out.join("\n\n");
+}
+
+const words = (text) => String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// Text that only restates the page title: "Intuitive Logical Extratim", "LII (INTj)", a bare
+// placeholder. `names` are the titles of the record (code, full name, alias, page title).
+export function isTitleStub(text, names = []) {
+  const tokens = words(text);
+  if (tokens.length < 5) return true;
+  const titleWords = new Set(["socionics", "socionic", "type", "description", ...names.flatMap(words)]);
+  if (tokens.every((t) => titleWords.has(t))) return true;
+  return !/[.!?]["'”)]?$/.test(String(text).trim()) && tokens.length <= 8;
+}
+
+// Higher is better; 0 or less means the text is not a usable lead. `lead` marks paragraphs
+// before the first section heading.
+export function scoreLead(text, { names = [], lead = false } = {}) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length < 40 || isTitleStub(clean, names)) return 0;
+  let score = Math.min(clean.length, 600) / 100;
+  const sentences = splitSentences(clean);
+  if (sentences.length >= 2) score += 2;
+  score += /[.!?]["'”)]?$/.test(clean) ? 2 : -2;
+  if (lead) score += 3;
+  const nameWords = new Set(names.flatMap(words));
+  if (words(clean).some((w) => nameWords.has(w))) score += 1;
+  // Hatnotes, coordinates and link lists
+  if (/^(this article|for other uses|see also|main article|not to be confused)/i.test(clean)) score -= 6;
+  if ((clean.match(/[|•·]/g) || []).length > 3) score -= 3;
+  if ((clean.match(/\d/g) || []).length > clean.length / 5) score -= 3;
+  return score;
+}
+
+// Best of `candidates` ([{ text, lead }]), cut to `max` characters; null when none scores.
+export function pickLead(candidates, { names = [], max = 500 } = {}) {
+  let best = null;
+  let bestScore = 0;
+  for (const { text, lead } of candidates) {
+    const score = scoreLead(text, { names, lead });
+    if (score > bestScore) {
+      best = text;
+      bestScore = score;
+    }
+  }
+  return best ? truncateAtSentence(best, max) : null;
+}
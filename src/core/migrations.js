@@ -0,0 +1,46 @@
+// Data bundle versions. meta.json carries `schemaVersion`; bundles without one are version 1.
+// MIGRATIONS[n] upgrades a bundle from version n to n + 1, so old caches and forks keep loading.
+import { RELATION_KINDS } from "./relations.js";
+
+// Version of the shapes described by SCHEMAS in schema.js
+export const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = {
+  // v1 stored relations as Duality pairs ({ a, b, name, summary }); v2 stores one record per kind.
+  1: (bundle) => {
+    const pairs = Array.isArray(bundle.relations) ? bundle.relations : [];
+    const relations = RELATION_KINDS
+      .map(({ kind, ordered }) => {
+        const pair = pairs.find((r) => r && r.name === kind);
+        if (!pair) return null;
+        const summary = typeof pair.summary === "string" ? pair.summary : "";
+        return { name: kind, ordered, summary, description: summary };
+      })
+      .filter(Boolean);
+    return { ...bundle, relations };
+  },
+};
+
+export function bundleVersion(meta) {
+  const v = meta && meta.schemaVersion;
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+// Upgrades `bundle` ({ types, relations, glossary, search, meta }) to SCHEMA_VERSION.
+// A bundle from a newer version is returned untouched with an issue, never downgraded.
+export function migrateBundle(bundle) {
+  const from = bundleVersion(bundle.meta);
+  if (from > SCHEMA_VERSION) {
+    return {
+      bundle,
+      from,
+      issues: [{ file: "meta.json", record: null, field: "schemaVersion", message: `bundle is version ${from}; this app reads up to ${SCHEMA_VERSION}` }],
+    };
+  }
+  let current = bundle;
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    current = MIGRATIONS[v](current);
+  }
+  const meta = current.meta && typeof current.meta === "object" && !Array.isArray(current.meta) ? current.meta : {};
+  return { bundle: { ...current, meta: { ...meta, schemaVersion: SCHEMA_VERSION } }, from, issues: [] };
+}
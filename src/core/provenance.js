@@ -0,0 +1,56 @@
+// Field-level provenance. Each record carries `sources`, mapping a field path ("overview",
+// "content.characteristics.strengths", "content.modelA[4]", "subtypes[D]", "roles.supervisor")
+// to { page, url?, anchor?, revId? }: the wiki page, the section heading id and the revision
+// the text was taken from. Built-in text has a `page` naming its file and no url.
+import { contentAnchors, contentFields } from "./content.js";
+import { subtypeFromHeading } from "./subtypes.js";
+
+export const CURATED_CONTENT = { page: "Curated notes (data/type-content.json)" };
+export const BUILT_IN_RELATIONS = { page: "Built-in relation text (scripts/scrape.mjs)" };
+export const BUILT_IN_GLOSSARY = { page: "Built-in definitions (scripts/scrape.mjs)" };
+
+// Source entry for a field on `page` ({ page, url, revId? }), optionally at a section anchor.
+export function pageSource(page, anchor) {
+  const source = { page: page.page };
+  if (page.url) source.url = anchor ? `${page.url}#${encodeURIComponent(anchor)}` : page.url;
+  if (anchor) source.anchor = anchor;
+  if (Number.isInteger(page.revId)) source.revId = page.revId;
+  return source;
+}
+
+// Sources for a scraped type. `seed` is the curated content the page's sections were merged
+// over; fields the page did not supply keep the curated source.
+export function typeSources(code, page, { lead, sections, seed } = {}) {
+  const sources = { overview: pageSource(page) };
+  for (const field of contentFields(seed)) sources[field] = CURATED_CONTENT;
+  for (const [field, anchor] of Object.entries(contentAnchors(code, lead, sections))) {
+    sources[field] = pageSource(page, anchor);
+  }
+  // Same first-match rule as mergeSubtypeSections
+  for (const { heading, text, anchor } of sections || []) {
+    const id = subtypeFromHeading(code, heading);
+    if (id && text && !sources[`subtypes[${id}]`]) sources[`subtypes[${id}]`] = pageSource(page, anchor);
+  }
+  return sources;
+}
+
+// Distinct sources of `field` and everything under it, e.g. "content.interaction"
+// covers "content.interaction.work"; "content.modelA" covers every position.
+export function sourcesFor(record, field) {
+  const sources = record && record.sources && typeof record.sources === "object" ? record.sources : {};
+  const seen = new Map();
+  for (const [path, source] of Object.entries(sources)) {
+    if (!source || (path !== field && !path.startsWith(`${field}.`) && !path.startsWith(`${field}[`))) continue;
+    const key = `${source.page}|${source.url || ""}|${source.revId || ""}`;
+    if (!seen.has(key)) seen.set(key, source);
+  }
+  return [...seen.values()];
+}
+
+// "LII (INTj) § Vulnerable · rev 10412"
+export function sourceLabel(source) {
+  let label = source.page;
+  if (source.anchor) label += ` § ${source.anchor.replace(/_/g, " ")}`;
+  if (source.revId) label += ` · rev ${source.revId}`;
+  return label;
+}
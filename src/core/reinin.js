@@ -0,0 +1,52 @@
+// Reinin dichotomies: the four Jungian traits and the eleven derived from their products.
+// `basis` lists the Jungian traits whose XOR picks the `odd` pole when it is 1.
+import { egoFromCode, isExtraverted, isRational } from "./socionics.js";
+
+export const DICHOTOMIES = [
+  { id: "extraversion", poles: ["Extravert", "Introvert"], odd: "Extravert", basis: ["e"] },
+  { id: "intuition", poles: ["Intuitive", "Sensing"], odd: "Intuitive", basis: ["n"] },
+  { id: "logic", poles: ["Logical", "Ethical"], odd: "Logical", basis: ["t"] },
+  { id: "rationality", poles: ["Rational", "Irrational"], odd: "Rational", basis: ["r"] },
+  { id: "static", poles: ["Static", "Dynamic"], odd: "Static", basis: ["e", "r"] },
+  { id: "positivist", poles: ["Positivist", "Negativist"], odd: "Positivist", basis: ["e", "n", "t"] },
+  { id: "tactical", poles: ["Tactical", "Strategic"], odd: "Strategic", basis: ["n", "r"] },
+  { id: "constructivist", poles: ["Constructivist", "Emotivist"], odd: "Emotivist", basis: ["n", "t", "r"] },
+  { id: "process", poles: ["Process", "Result"], odd: "Process", basis: ["t", "r"] },
+  { id: "asking", poles: ["Asking", "Declaring"], odd: "Asking", basis: ["e", "n", "t", "r"] },
+  { id: "carefree", poles: ["Carefree", "Farsighted"], odd: "Farsighted", basis: ["e", "n"] },
+  { id: "yielding", poles: ["Yielding", "Obstinate"], odd: "Yielding", basis: ["e", "t"] },
+  { id: "merry", poles: ["Merry", "Serious"], odd: "Serious", basis: ["e", "t", "r"] },
+  { id: "judicious", poles: ["Judicious", "Decisive"], odd: "Decisive", basis: ["e", "n", "r"] },
+  { id: "aristocratic", poles: ["Aristocratic", "Democratic"], odd: "Aristocratic", basis: ["n", "t"] },
+];
+
+// Jungian traits as bits: extravert, intuitive, logical, rational
+export function jungianTraits(code) {
+  const { leading, creative } = egoFromCode(code);
+  const irrational = isRational(leading) ? creative : leading;
+  const rational = isRational(leading) ? leading : creative;
+  return {
+    e: isExtraverted(leading) ? 1 : 0,
+    n: irrational[0] === "N" ? 1 : 0,
+    t: rational[0] === "T" ? 1 : 0,
+    r: isRational(leading) ? 1 : 0,
+  };
+}
+
+// { [dichotomy id]: pole } for one type code
+export function reininFor(code) {
+  const bits = jungianTraits(code);
+  return Object.fromEntries(
+    DICHOTOMIES.map((d) => {
+      const value = d.basis.reduce((acc, k) => acc ^ bits[k], 0);
+      const even = d.poles.find((p) => p !== d.odd);
+      return [d.id, value ? d.odd : even];
+    })
+  );
+}
+
+// True when the type has every selected pole; `selection` maps dichotomy id -> pole.
+export function matchesReinin(code, selection) {
+  const traits = reininFor(code);
+  return Object.entries(selection).every(([id, pole]) => !pole || traits[id] === pole);
+}
@@ -0,0 +1,92 @@
+// Intertype relation engine: a 16x16 table keyed by type code, derived from Model A.
+// A relation is identified by where B's leading and creative elements sit in A's Model A.
+import { TYPE_CODES, egoFromCode, modelAElements } from "./socionics.js";
+
+export const RELATION_KINDS = [
+  { kind: "Identity", ordered: false },
+  { kind: "Duality", ordered: false },
+  { kind: "Activation", ordered: false },
+  { kind: "Mirror", ordered: false },
+  { kind: "Semi-duality", ordered: false },
+  { kind: "Mirage", ordered: false },
+  { kind: "Business", ordered: false },
+  { kind: "Kindred", ordered: false },
+  { kind: "Quasi-identity", ordered: false },
+  { kind: "Extinguishment", ordered: false },
+  { kind: "Super-ego", ordered: false },
+  { kind: "Conflict", ordered: false },
+  { kind: "Supervision", ordered: true, roles: ["supervisor", "supervisee"] },
+  { kind: "Benefit", ordered: true, roles: ["benefactor", "beneficiary"] },
+];
+
+// "<lead>,<creative>" positions of B inside A's Model A -> relation kind and B's role.
+const BY_POSITIONS = {
+  "1,2": { kind: "Identity" },
+  "5,6": { kind: "Duality" },
+  "6,5": { kind: "Activation" },
+  "2,1": { kind: "Mirror" },
+  "5,8": { kind: "Semi-duality" },
+  "7,6": { kind: "Mirage" },
+  "3,2": { kind: "Business" },
+  "1,4": { kind: "Kindred" },
+  "7,8": { kind: "Extinguishment" },
+  "8,7": { kind: "Quasi-identity" },
+  "3,4": { kind: "Super-ego" },
+  "4,3": { kind: "Conflict" },
+  // Supervisor's leading element is the supervisee's vulnerable one.
+  "4,1": { kind: "Supervision", roleB: "supervisor", roleA: "supervisee" },
+  "2,3": { kind: "Supervision", roleB: "supervisee", roleA: "supervisor" },
+  // Benefactor's creative element is the beneficiary's suggestive one.
+  "8,5": { kind: "Benefit", roleB: "benefactor", roleA: "beneficiary" },
+  "6,7": { kind: "Benefit", roleB: "beneficiary", roleA: "benefactor" },
+};
+
+function classify(aCode, bCode) {
+  const a = egoFromCode(aCode);
+  const b = egoFromCode(bCode);
+  const model = modelAElements(a.leading, a.creative);
+  const key = `${model.indexOf(b.leading) + 1},${model.indexOf(b.creative) + 1}`;
+  const entry = BY_POSITIONS[key];
+  if (!entry) {
+    throw new Error(`No relation for ${aCode} -> ${bCode} (positions ${key})`);
+  }
+  const { ordered } = RELATION_KINDS.find((k) => k.kind === entry.kind);
+  return {
+    a: aCode,
+    b: bCode,
+    kind: entry.kind,
+    ordered,
+    roles: ordered ? { a: entry.roleA, b: entry.roleB } : null,
+  };
+}
+
+// Precomputed once: RELATION_TABLE[a][b]
+export const RELATION_TABLE = Object.fromEntries(
+  TYPE_CODES.map((a) => [a, Object.fromEntries(TYPE_CODES.map((b) => [b, classify(a, b)]))])
+);
+
+// Relation from A's point of view; roles say which side supervises / benefits.
+export function getRelation(aCode, bCode) {
+  const row = RELATION_TABLE[aCode];
+  if (!row || !row[bCode]) {
+    throw new Error(`Unknown type pair: ${aCode}-${bCode}`);
+  }
+  return row[bCode];
+}
+
+// Short human label, e.g. "Supervision (SEE supervises LII)".
+export function describeRelation(rel) {
+  if (!rel.ordered) return rel.kind;
+  const [top] = RELATION_KINDS.find((k) => k.kind === rel.kind).roles;
+  const [from, to] = rel.roles.a === top ? [rel.a, rel.b] : [rel.b, rel.a];
+  const verb = rel.kind === "Supervision" ? "supervises" : "benefits";
+  return `${rel.kind} (${from} ${verb} ${to})`;
+}
+
+// The partner of `code` in a given relation, optionally filtered by the partner's role.
+export function partnersOf(code, kind, role) {
+  return TYPE_CODES.filter((other) => {
+    const rel = getRelation(code, other);
+    return rel.kind === kind && (!role || (rel.roles && rel.roles.b === role));
+  });
+}
@@ -0,0 +1,164 @@
+// Structural schemas for the data files, checked before anything renders.
+// Invalid records are repaired from the type code where possible and dropped otherwise,
+// so a bad file degrades the app instead of crashing it.
+import { TYPE_CODES, deriveType } from "./socionics.js";
+
+// Field -> expected type for the current SCHEMA_VERSION (migrations.js); "?" marks optional.
+export const SCHEMAS = {
+  type: {
+    code: "string",
+    fullName: "string",
+    alias: "string",
+    quadra: "string",
+    temperament: "string",
+    leading: "string",
+    creative: "string",
+    overview: "string",
+    href: "string?",
+    subtypes: "array?",
+    content: "object?",
+    sources: "object?",
+    revId: "number?",
+    title: "string?",
+  },
+  relation: {
+    name: "string",
+    ordered: "boolean",
+    summary: "string",
+    description: "string",
+    roles: "object?",
+    href: "string?",
+    sources: "object?",
+  },
+  glossary: { term: "string", shortDef: "string", sources: "object?" },
+  search: { kind: "string", id: "string", haystack: "string" },
+  meta: { schemaVersion: "number", generatedAt: "string?", mode: "string?", sources: "object?", typeStatus: "object?" },
+  // One entry of corpus/index.json (written by the crawl step of scripts/data.mjs)
+  article: {
+    title: "string",
+    slug: "string",
+    url: "string",
+    categories: "array",
+    displayTitle: "string?",
+    revId: "number?",
+    summary: "string?",
+    linkCount: "number?",
+  },
+  // One entry of changelog.json (changelog.js)
+  changelog: {
+    generatedAt: "string",
+    previousGeneratedAt: "string?",
+    source: "string?",
+    summary: "object",
+    revisions: "object?",
+    changes: "array",
+  },
+};
+
+function kindOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Issues for one record, in the same shape as validate.js uses.
+export function checkRecord(file, record, value, schema) {
+  if (kindOf(value) !== "object") {
+    return [{ file, record, field: null, message: `expected an object, got ${kindOf(value)}` }];
+  }
+  const issues = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const expected = optional ? spec.slice(0, -1) : spec;
+    const actual = kindOf(value[field]);
+    if (actual === "undefined") {
+      if (!optional) issues.push({ file, record, field, message: "missing required field" });
+    } else if (actual !== expected) {
+      issues.push({ file, record, field, message: `expected ${expected}, got ${actual}` });
+    }
+  }
+  return issues;
+}
+
+// Stand-in for a type record that is missing or malformed; everything but prose is derivable.
+export function fallbackType(code) {
+  const { fullName, alias, quadra, temperament, leading, creative } = deriveType(code);
+  return {
+    code,
+    fullName,
+    alias,
+    quadra,
+    temperament,
+    leading,
+    creative,
+    overview: "Description unavailable: this record failed validation.",
+    href: `https://wikisocion.github.io/content/${code}.html`,
+    degraded: true,
+  };
+}
+
+// Keeps the records of `list` that pass `schema`; issues name the record by `keyOf`.
+function filterRecords(file, list, schema, keyOf) {
+  if (!Array.isArray(list)) {
+    return { records: [], issues: [{ file, record: null, field: null, message: `expected an array, got ${kindOf(list)}` }] };
+  }
+  const records = [];
+  const issues = [];
+  list.forEach((value, i) => {
+    const key = (value && keyOf(value)) || `#${i}`;
+    const found = checkRecord(file, key, value, schema);
+    if (found.length) issues.push(...found);
+    else records.push(value);
+  });
+  return { records, issues };
+}
+
+// Schema-checks a loaded bundle. Returns render-safe data plus the issues found.
+// Types are always the full sixteen; other lists only lose their invalid records.
+export function sanitizeDataset({ types, relations, glossary, search, meta }) {
+  const issues = [];
+
+  const checkedTypes = filterRecords("types.json", types, SCHEMAS.type, (t) => t.code);
+  issues.push(...checkedTypes.issues);
+  const byCode = {};
+  for (const t of checkedTypes.records) {
+    if (TYPE_CODES.includes(t.code)) byCode[t.code] = byCode[t.code] || t;
+    else issues.push({ file: "types.json", record: t.code, field: "code", message: "unknown type code; record dropped" });
+  }
+  const present = new Set((Array.isArray(types) ? types : []).map((t) => t && t.code));
+  for (const code of TYPE_CODES) {
+    if (!present.has(code)) issues.push({ file: "types.json", record: code, field: null, message: "missing type; using derived fallback" });
+  }
+  const repaired = TYPE_CODES.filter((code) => !byCode[code]);
+  const safeTypes = TYPE_CODES.map((code) => byCode[code] || fallbackType(code));
+
+  const checkedRelations = filterRecords("relations.json", relations, SCHEMAS.relation, (r) => r.name);
+  const checkedGlossary = filterRecords("glossary.json", glossary, SCHEMAS.glossary, (g) => g.term);
+  issues.push(...checkedRelations.issues, ...checkedGlossary.issues);
+
+  let safeSearch = null;
+  if (search != null) {
+    const checkedSearch = filterRecords("search.json", search, SCHEMAS.search, (e) => e.kind && e.id && `${e.kind}:${e.id}`);
+    issues.push(...checkedSearch.issues);
+    safeSearch = Array.isArray(search) ? checkedSearch.records : null;
+  }
+
+  let safeMeta = {};
+  if (meta != null) {
+    const metaIssues = checkRecord("meta.json", null, meta, SCHEMAS.meta);
+    issues.push(...metaIssues);
+    if (kindOf(meta) === "object") safeMeta = meta;
+  }
+
+  return {
+    data: {
+      types: safeTypes,
+      relations: checkedRelations.records,
+      glossary: checkedGlossary.records,
+      search: safeSearch,
+      meta: safeMeta,
+    },
+    issues,
+    repaired,
+  };
+}
@@ -0,0 +1,18 @@
+// Precomputed search index (search.json). Built by the data CLI and rebuilt by the app
+// when a bundle ships without one; both must produce the same entries.
+export function buildSearchEntries(types, glossary) {
+  const entries = [];
+  if (Array.isArray(types)) {
+    for (const t of types) {
+      const hay = [t.code, t.fullName, t.alias, t.quadra, t.temperament, t.leading, t.creative].join(" ").toLowerCase();
+      entries.push({ kind: "type", id: t.code, code: t.code, fullName: t.fullName, alias: t.alias, haystack: hay });
+    }
+  }
+  if (Array.isArray(glossary)) {
+    for (const g of glossary) {
+      const hay = [g.term, g.shortDef].join(" ").toLowerCase();
+      entries.push({ kind: "gloss", id: g.term, term: g.term, shortDef: g.shortDef, haystack: hay });
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,142 @@
+// Socionics core: information elements and Model A derived from a type's leading/creative pair.
+// Pure functions only so the scraper (Node) and the app (browser) can share them.
+
+export const ELEMENTS = ["Ne", "Ni", "Se", "Si", "Te", "Ti", "Fe", "Fi"];
+
+export const TYPE_CODES = [
+  "ILE", "SEI", "LII", "ESE",
+  "SLE", "IEI", "LSI", "EIE",
+  "SEE", "ILI", "ESI", "LIE",
+  "LSE", "EII", "SLI", "IEE",
+];
+
+// N <-> S and T <-> F swap within the same rationality (irrational / rational)
+const OPPOSITE_ASPECT = { N: "S", S: "N", T: "F", F: "T" };
+
+// Letters used in type codes: Intuitive, Sensing, Logical, Ethical
+const CODE_ASPECT = { I: "N", S: "S", L: "T", E: "F" };
+const CODE_WORD = { I: "Intuitive", S: "Sensing", L: "Logical", E: "Ethical" };
+
+// Elements valued (Ego + Super-id) by each quadra
+export const QUADRA_VALUES = {
+  Alpha: ["Ne", "Si", "Ti", "Fe"],
+  Beta: ["Se", "Ni", "Ti", "Fe"],
+  Gamma: ["Se", "Ni", "Te", "Fi"],
+  Delta: ["Ne", "Si", "Te", "Fi"],
+};
+
+// Clubs pair the irrational and rational aspects of the ego
+const CLUBS = { NT: "Researchers", SF: "Socials", ST: "Pragmatists", NF: "Humanitarians" };
+
+export const MODEL_A_BLOCKS = ["Ego", "Super-ego", "Super-id", "Id"];
+
+export const MODEL_A_POSITIONS = [
+  { position: 1, name: "Leading", block: "Ego", description: "Strongest, most confident channel; sets the type's program." },
+  { position: 2, name: "Creative", block: "Ego", description: "Flexible tool used to carry out the leading function's aims." },
+  { position: 3, name: "Role", block: "Super-ego", description: "Used to meet social expectations; effortful and quickly tiring." },
+  { position: 4, name: "Vulnerable", block: "Super-ego", description: "Point of least resistance; criticism here is felt acutely." },
+  { position: 5, name: "Suggestive", block: "Super-id", description: "Weak but valued; welcomed gratefully when supplied by others." },
+  { position: 6, name: "Mobilizing", block: "Super-id", description: "Valued area the type wants to improve; praise here motivates." },
+  { position: 7, name: "Ignoring", block: "Id", description: "Capable but deliberately set aside in favour of the leading function." },
+  { position: 8, name: "Demonstrative", block: "Id", description: "Strong, used in the background, often playfully or to help others." },
+];
+
+export function isElement(value) {
+  return ELEMENTS.includes(value);
+}
+
+export function isRational(element) {
+  return element[0] === "T" || element[0] === "F";
+}
+
+export function isExtraverted(element) {
+  return element[1] === "e";
+}
+
+// Same aspect, opposite vertness: Ne -> Ni
+export function flipVertness(element) {
+  return `${element[0]}${isExtraverted(element) ? "i" : "e"}`;
+}
+
+// Opposite aspect, same vertness: Ne -> Se, Ti -> Fi
+export function oppositeAspect(element) {
+  return `${OPPOSITE_ASPECT[element[0]]}${element[1]}`;
+}
+
+// A valid ego pairs a rational with an irrational element of opposite vertness.
+export function isValidEgo(leading, creative) {
+  return (
+    isElement(leading) &&
+    isElement(creative) &&
+    isRational(leading) !== isRational(creative) &&
+    isExtraverted(leading) !== isExtraverted(creative)
+  );
+}
+
+// Leading/creative from a three-letter code: ILE -> Ne/Ti, LII -> Ti/Ne.
+export function egoFromCode(code) {
+  if (!TYPE_CODES.includes(code)) {
+    throw new Error(`Unknown type code: ${code}`);
+  }
+  const vert = code[2] === "E" ? "e" : "i";
+  const leading = `${CODE_ASPECT[code[0]]}${vert}`;
+  const creative = `${CODE_ASPECT[code[1]]}${vert === "e" ? "i" : "e"}`;
+  return { leading, creative };
+}
+
+// Ordered Model A elements, positions 1-8.
+export function modelAElements(leading, creative) {
+  if (!isValidEgo(leading, creative)) {
+    throw new Error(`Invalid ego pair: ${leading}/${creative}`);
+  }
+  return [
+    leading,
+    creative,
+    oppositeAspect(leading),
+    oppositeAspect(creative),
+    oppositeAspect(flipVertness(leading)),
+    oppositeAspect(flipVertness(creative)),
+    flipVertness(leading),
+    flipVertness(creative),
+  ];
+}
+
+// Full Model A for a type: position metadata plus the element in each slot.
+export function computeModelA(leading, creative) {
+  const elements = modelAElements(leading, creative);
+  return MODEL_A_POSITIONS.map((p, i) => ({ ...p, element: elements[i] }));
+}
+
+// Position (1-8) an element occupies in the given type's Model A.
+export function positionOf(type, element) {
+  return modelAElements(type.leading, type.creative).indexOf(element) + 1;
+}
+
+// Type code whose ego is the given leading/creative pair.
+export function codeFromEgo(leading, creative) {
+  return TYPE_CODES.find((code) => {
+    const ego = egoFromCode(code);
+    return ego.leading === leading && ego.creative === creative;
+  });
+}
+
+// Every attribute that follows from the code alone; data files are checked against this.
+export function deriveType(code) {
+  const { leading, creative } = egoFromCode(code);
+  const extravert = isExtraverted(leading);
+  const rational = isRational(leading);
+  const irrationalAspect = (rational ? creative : leading)[0];
+  const rationalAspect = (rational ? leading : creative)[0];
+  const model = modelAElements(leading, creative);
+  return {
+    code,
+    fullName: `${CODE_WORD[code[0]]} ${CODE_WORD[code[1]]} ${extravert ? "Extravert" : "Introvert"}`,
+    alias: `${extravert ? "E" : "I"}${irrationalAspect}${rationalAspect}${rational ? "j" : "p"}`,
+    quadra: Object.keys(QUADRA_VALUES).find((q) => QUADRA_VALUES[q].includes(leading) && QUADRA_VALUES[q].includes(creative)),
+    temperament: `${extravert ? "E" : "I"}${rational ? "J" : "P"}`,
+    club: CLUBS[`${irrationalAspect}${rationalAspect}`],
+    leading,
+    creative,
+    dual: codeFromEgo(model[4], model[5]),
+  };
+}
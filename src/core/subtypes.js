@@ -0,0 +1,98 @@
+// Subtypes: leading/creative accentuation (LII-Ti, LII-Ne) and Gulenko's DCNH (LII-D ... LII-H).
+// Defaults are generated from the code; scraped wiki text overrides them by subtype id.
+import { egoFromCode, isRational } from "./socionics.js";
+
+export const SUBTYPE_SYSTEMS = [
+  { id: "accent", name: "Accentuation", description: "Which ego function is emphasised: the leading or the creative." },
+  { id: "dcnh", name: "DCNH", description: "Gulenko's four subtypes by the role a person tends to take in a group." },
+];
+
+// What each element brings to the fore when it is accentuated
+const ELEMENT_FOCUS = {
+  Ne: "ideas, possibilities and open-ended exploration",
+  Ni: "foresight, timing and inner focus",
+  Se: "will, pressure and command of the situation",
+  Si: "comfort, physical wellbeing and calm",
+  Te: "efficiency, facts and practical results",
+  Ti: "structure, principles and consistency",
+  Fe: "emotional expression and atmosphere",
+  Fi: "relationships, loyalty and personal values",
+};
+
+const DCNH = [
+  { id: "D", name: "Dominant", summary: "Assertive and directing; takes charge and pushes the group toward its goals." },
+  { id: "C", name: "Creative", summary: "Inventive and unconventional; seeks novelty and breaks with routine." },
+  { id: "N", name: "Normalizing", summary: "Orderly and conscientious; upholds norms, finishes work and keeps standards." },
+  { id: "H", name: "Harmonizing", summary: "Calm and accommodating; reconciles people and smooths over conflict." },
+];
+
+function accentSubtype(code, element, slot) {
+  const temper = isRational(element) ? "decisive, principled" : "flexible, receptive";
+  return {
+    id: element,
+    system: "accent",
+    name: `${element} subtype`,
+    summary: `The ${slot} ${element} is emphasised: a more ${temper} ${code}, centred on ${ELEMENT_FOCUS[element]}.`,
+  };
+}
+
+// Every subtype of a type, accentuation first: [{ id, system, name, summary }]
+export function subtypesFor(code) {
+  const { leading, creative } = egoFromCode(code);
+  return [
+    accentSubtype(code, leading, "leading"),
+    accentSubtype(code, creative, "creative"),
+    ...DCNH.map(({ id, name, summary }) => ({ id, system: "dcnh", name, summary })),
+  ];
+}
+
+// Normalises a subtype id as written in a URL or heading: "ne" -> "Ne", "d" -> "D".
+function normaliseSubtypeId(value) {
+  if (/^[nstf][ei]$/i.test(value)) return `${value[0].toUpperCase()}${value[1].toLowerCase()}`;
+  if (/^[dcnh]$/i.test(value)) return value.toUpperCase();
+  return null;
+}
+
+// "LII-Ne" -> { code: "LII", subtype: "Ne" }; unknown subtypes are dropped, not rejected.
+export function parseTypeRef(ref) {
+  const [rawCode, rawSubtype] = String(ref || "").split("-");
+  const code = rawCode.toUpperCase();
+  if (!rawSubtype) return { code };
+  const id = normaliseSubtypeId(rawSubtype);
+  let valid = false;
+  try {
+    valid = subtypesFor(code).some((s) => s.id === id);
+  } catch {
+    valid = false;
+  }
+  return valid ? { code, subtype: id } : { code };
+}
+
+export function typeRef(code, subtype) {
+  return subtype ? `${code}-${subtype}` : code;
+}
+
+// Subtype id a wiki heading refers to, e.g. "LII-Ne", "Ti subtype", "Dominant subtype".
+// DCNH names are ordinary words ("Creative function: Ne"), so they count only next to "subtype".
+export function subtypeFromHeading(code, heading) {
+  const text = String(heading || "").trim();
+  for (const s of subtypesFor(code)) {
+    const patterns = [
+      new RegExp(`\\b${code}[-\\s]${s.id}\\b`, "i"),
+      new RegExp(`^${s.id}[-\\s]*(subtype|accent)`, "i"),
+    ];
+    if (s.system === "dcnh") patterns.push(new RegExp(`^${s.name}\\b.*\\bsubtype\\b`, "i"));
+    if (patterns.some((p) => p.test(text))) return s.id;
+  }
+  return null;
+}
+
+// Defaults for `code` with scraped { heading, text } sections laid over them.
+export function mergeSubtypeSections(code, sections) {
+  const found = {};
+  for (const { heading, text } of sections || []) {
+    const id = subtypeFromHeading(code, heading);
+    if (id && text && !found[id]) found[id] = text;
+  }
+  return subtypesFor(code).map((s) => (found[s.id] ? { ...s, summary: found[s.id], scraped: true } : s));
+}
@@ -0,0 +1,253 @@
+// Data consistency validator: checks every data file against what each type code implies.
+// Returns a flat list of field-level issues; callers decide whether to warn or fail.
+import { TYPE_CODES, ELEMENTS, deriveType, modelAElements } from "./socionics.js";
+import { RELATION_KINDS } from "./relations.js";
+import { subtypesFor } from "./subtypes.js";
+import { isTitleStub } from "./lead.js";
+
+// Fields a types.json record must carry, all derivable from the code
+const TYPE_FIELDS = ["fullName", "alias", "quadra", "temperament", "leading", "creative"];
+// Derivable fields that are optional in the data but must agree when present
+const OPTIONAL_TYPE_FIELDS = ["club", "dual"];
+
+function issue(file, record, field, message) {
+  return { file, record, field, message };
+}
+
+function mismatch(file, record, field, expected, actual) {
+  return issue(file, record, field, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+// Keys TypeDetail renders for each content group
+const CONTENT_GROUPS = {
+  characteristics: ["strengths", "challenges"],
+  interaction: ["communication", "work", "decision"],
+};
+
+// Optional `content`: every field is optional, but present ones must be text, and
+// Model A notes must sit on the element the code puts at that position.
+function validateContent(file, record, code, content) {
+  if (!content || typeof content !== "object" || Array.isArray(content)) return [issue(file, record, "content", "expected an object")];
+  const issues = [];
+  const text = (v) => typeof v === "string" && v.trim() !== "";
+  for (const field of ["summary", "nuances"]) {
+    if (field in content && !text(content[field])) issues.push(issue(file, record, `content.${field}`, "expected text"));
+  }
+  for (const [group, keys] of Object.entries(CONTENT_GROUPS)) {
+    if (!(group in content)) continue;
+    for (const [key, value] of Object.entries(content[group] || {})) {
+      if (!keys.includes(key)) issues.push(issue(file, record, `content.${group}.${key}`, "unknown field"));
+      else if (!text(value)) issues.push(issue(file, record, `content.${group}.${key}`, "expected text"));
+    }
+  }
+  if ("modelA" in content) {
+    if (!Array.isArray(content.modelA)) return [...issues, issue(file, record, "content.modelA", "expected an array")];
+    const derived = deriveType(code);
+    const model = modelAElements(derived.leading, derived.creative);
+    const seen = new Set();
+    content.modelA.forEach((n, i) => {
+      const field = `content.modelA[${i}]`;
+      if (!n || !Number.isInteger(n.position) || n.position < 1 || n.position > 8) {
+        issues.push(issue(file, record, field, "position must be 1-8"));
+        return;
+      }
+      if (seen.has(n.position)) issues.push(issue(file, record, field, `duplicate position ${n.position}`));
+      seen.add(n.position);
+      if (n.element !== model[n.position - 1]) issues.push(mismatch(file, record, `${field}.element`, model[n.position - 1], n.element));
+      if (!text(n.description)) issues.push(issue(file, record, `${field}.description`, "expected text"));
+    });
+  }
+  return issues;
+}
+
+// Optional `subtypes`: known ids for the type, each once, each with a summary.
+function validateSubtypes(file, record, code, subtypes) {
+  if (!Array.isArray(subtypes)) return [issue(file, record, "subtypes", "expected an array")];
+  const issues = [];
+  const known = new Map(subtypesFor(code).map((s) => [s.id, s]));
+  const seen = new Set();
+  subtypes.forEach((s, i) => {
+    const field = `subtypes[${i}]`;
+    if (!s || !known.has(s.id)) {
+      issues.push(issue(file, record, field, `unknown subtype ${JSON.stringify(s && s.id)} for ${code}`));
+      return;
+    }
+    if (seen.has(s.id)) issues.push(issue(file, record, field, `duplicate subtype ${s.id}`));
+    seen.add(s.id);
+    if (s.system !== known.get(s.id).system) issues.push(mismatch(file, record, `${field}.system`, known.get(s.id).system, s.system));
+    if (typeof s.summary !== "string" || !s.summary.trim()) issues.push(issue(file, record, `${field}.summary`, "missing summary"));
+  });
+  return issues;
+}
+
+// Value at a provenance path ("content.modelA[4]", "subtypes[D]", "roles.supervisor");
+// bracketed keys match array items by `position` or `id`.
+function valueAt(value, path) {
+  let current = value;
+  for (const [, name, key] of path.matchAll(/([^.[\]]+)(?:\[([^\]]+)\])?/g)) {
+    current = current && typeof current === "object" ? current[name] : undefined;
+    if (key !== undefined) {
+      current = Array.isArray(current) ? current.find((v) => v && String(v.position ?? v.id) === key) : undefined;
+    }
+  }
+  return current;
+}
+
+// Optional `sources` (provenance.js): one entry per field the record actually has, each
+// naming a page; url, anchor and revId are optional.
+function validateSources(file, record, value, sources) {
+  if (!sources || typeof sources !== "object" || Array.isArray(sources)) return [issue(file, record, "sources", "expected an object")];
+  const issues = [];
+  for (const [path, source] of Object.entries(sources)) {
+    const field = `sources.${path}`;
+    if (valueAt(value, path) === undefined) issues.push(issue(file, record, field, "source for a field the record does not have"));
+    if (!source || typeof source.page !== "string" || !source.page) {
+      issues.push(issue(file, record, field, "source must name a page"));
+      continue;
+    }
+    for (const key of ["url", "anchor"]) {
+      if (key in source && typeof source[key] !== "string") issues.push(issue(file, record, `${field}.${key}`, "expected a string"));
+    }
+    if ("revId" in source && !Number.isInteger(source.revId)) issues.push(issue(file, record, `${field}.revId`, "expected an integer"));
+  }
+  return issues;
+}
+
+export function validateTypes(types) {
+  const file = "types.json";
+  if (!Array.isArray(types)) return [issue(file, null, null, "expected an array of types")];
+  const issues = [];
+  const seen = new Set();
+  types.forEach((t, i) => {
+    const record = t && t.code ? t.code : `#${i}`;
+    if (!t || !TYPE_CODES.includes(t.code)) {
+      issues.push(issue(file, record, "code", `unknown type code ${JSON.stringify(t && t.code)}`));
+      return;
+    }
+    if (seen.has(t.code)) issues.push(issue(file, record, "code", "duplicate type code"));
+    seen.add(t.code);
+    const derived = deriveType(t.code);
+    for (const field of TYPE_FIELDS) {
+      if (t[field] !== derived[field]) issues.push(mismatch(file, record, field, derived[field], t[field]));
+    }
+    for (const field of OPTIONAL_TYPE_FIELDS) {
+      if (field in t && t[field] !== derived[field]) issues.push(mismatch(file, record, field, derived[field], t[field]));
+    }
+    // An overview that only restates the title means lead extraction picked the wrong text
+    if (typeof t.overview === "string" && isTitleStub(t.overview, [t.code, derived.fullName, derived.alias, t.title || ""])) {
+      issues.push(issue(file, record, "overview", `looks like a title stub (${JSON.stringify(t.overview)}); expected a descriptive lead`));
+    }
+    if ("subtypes" in t) issues.push(...validateSubtypes(file, record, t.code, t.subtypes));
+    if ("content" in t) issues.push(...validateContent(file, record, t.code, t.content));
+    if ("sources" in t) issues.push(...validateSources(file, record, t, t.sources));
+  });
+  for (const code of TYPE_CODES) {
+    if (!seen.has(code)) issues.push(issue(file, code, null, "missing type"));
+  }
+  return issues;
+}
+
+// One record per relation kind; ordered kinds describe each role.
+export function validateRelations(relations) {
+  const file = "relations.json";
+  if (!Array.isArray(relations)) return [issue(file, null, null, "expected an array of relations")];
+  const issues = [];
+  const seen = new Set();
+  relations.forEach((r, i) => {
+    const record = r && r.name ? r.name : `#${i}`;
+    const kind = r && RELATION_KINDS.find((k) => k.kind === r.name);
+    if (!kind) {
+      issues.push(issue(file, record, "name", `unknown relation kind ${JSON.stringify(r && r.name)}`));
+      return;
+    }
+    if (seen.has(kind.kind)) issues.push(issue(file, record, "name", "duplicate relation kind"));
+    seen.add(kind.kind);
+    if (r.ordered !== kind.ordered) issues.push(mismatch(file, record, "ordered", kind.ordered, r.ordered));
+    for (const field of ["summary", "description"]) {
+      if (typeof r[field] !== "string" || !r[field].trim()) issues.push(issue(file, record, field, `missing ${field}`));
+    }
+    if (kind.ordered) {
+      for (const role of kind.roles) {
+        const text = r.roles && r.roles[role];
+        if (typeof text !== "string" || !text.trim()) issues.push(issue(file, record, `roles.${role}`, "missing role description"));
+      }
+    } else if (r.roles) {
+      issues.push(issue(file, record, "roles", "unordered relation should not describe roles"));
+    }
+    if ("sources" in r) issues.push(...validateSources(file, record, r, r.sources));
+  });
+  for (const { kind } of RELATION_KINDS) {
+    if (!seen.has(kind)) issues.push(issue(file, kind, null, "missing relation kind"));
+  }
+  return issues;
+}
+
+export function validateGlossary(glossary) {
+  const file = "glossary.json";
+  if (!Array.isArray(glossary)) return [issue(file, null, null, "expected an array of terms")];
+  const issues = [];
+  const terms = new Set();
+  glossary.forEach((g, i) => {
+    const record = g && g.term ? g.term : `#${i}`;
+    if (!g || typeof g.term !== "string" || !g.term) issues.push(issue(file, record, "term", "missing term"));
+    else if (terms.has(g.term)) issues.push(issue(file, record, "term", "duplicate term"));
+    if (!g || typeof g.shortDef !== "string" || !g.shortDef.trim()) issues.push(issue(file, record, "shortDef", "missing definition"));
+    if (g && "sources" in g) issues.push(...validateSources(file, record, g, g.sources));
+    if (g) terms.add(g.term);
+  });
+  for (const el of ELEMENTS) {
+    if (!terms.has(el)) issues.push(issue(file, el, null, "missing information element"));
+  }
+  return issues;
+}
+
+// Search entries must point at real records and index the derived type attributes.
+export function validateSearch(entries, glossary) {
+  const file = "search.json";
+  if (!Array.isArray(entries)) return [issue(file, null, null, "expected an array of entries")];
+  const issues = [];
+  const terms = new Set((glossary || []).map((g) => g.term));
+  entries.forEach((e, i) => {
+    const record = e && e.id ? `${e.kind}:${e.id}` : `#${i}`;
+    if (!e || typeof e.haystack !== "string") {
+      issues.push(issue(file, record, "haystack", "missing haystack"));
+      return;
+    }
+    if (e.kind === "type") {
+      if (!TYPE_CODES.includes(e.id)) {
+        issues.push(issue(file, record, "id", `unknown type code ${JSON.stringify(e.id)}`));
+        return;
+      }
+      const derived = deriveType(e.id);
+      for (const field of ["code", "fullName", "alias"]) {
+        if (e[field] !== derived[field]) issues.push(mismatch(file, record, field, derived[field], e[field]));
+      }
+      const tokens = e.haystack.split(/\s+/);
+      for (const field of ["quadra", "temperament", "leading", "creative"]) {
+        const token = derived[field].toLowerCase();
+        if (!tokens.includes(token)) issues.push(issue(file, record, "haystack", `missing ${field} token ${JSON.stringify(token)}`));
+      }
+    } else if (e.kind === "gloss") {
+      if (!terms.has(e.id)) issues.push(issue(file, record, "id", "no matching glossary term"));
+    } else {
+      issues.push(issue(file, record, "kind", `unknown entry kind ${JSON.stringify(e.kind)}`));
+    }
+  });
+  return issues;
+}
+
+export function validateDataset({ types, relations, glossary, search }) {
+  const issues = [
+    ...validateTypes(types),
+    ...validateRelations(relations),
+    ...validateGlossary(glossary),
+  ];
+  if (search) issues.push(...validateSearch(search, glossary));
+  return issues;
+}
+
+// One line per issue, e.g. `types.json SEI.temperament: expected "IP", got "IJ"`
+export function formatIssue({ file, record, field, message }) {
+  const where = [record, field].filter(Boolean).join(".");
+  return `${file}${where ? ` ${where}` : ""}: ${message}`;
+}
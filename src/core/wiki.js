@@ -0,0 +1,58 @@
+// Wiki titles for the offline reader: in-app targets for article links and the hash path form.
+import { TYPE_CODES, ELEMENTS } from "./socionics.js";
+
+// Element letter -> words used in wiki page titles ("Extraverted intuition", "Introverted thinking")
+const ELEMENT_WORDS = {
+  N: ["intuition"],
+  S: ["sensing", "sensation", "sensory"],
+  T: ["logic", "thinking"],
+  F: ["ethics", "feeling"],
+};
+
+export function normalizeTitle(title) {
+  const t = String(title || "").replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+// "#/wiki/<path>" segment for a title and back; spaces become underscores as on the wiki
+export function wikiPath(title) {
+  return encodeURIComponent(normalizeTitle(title).replace(/ /g, "_"));
+}
+
+export function titleFromWikiPath(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch {
+    // Malformed escapes: use the raw path
+  }
+  return normalizeTitle(decoded);
+}
+
+// "LII", "LII (INTj)" -> "LII"
+function typeCodeOf(title) {
+  const m = /^([A-Z]{3})(?:\s*\([^)]*\))?$/.exec(title);
+  return m && TYPE_CODES.includes(m[1]) ? m[1] : null;
+}
+
+// "Ti", "Introverted logic", "Extroverted intuition" -> element
+function elementOf(title) {
+  if (ELEMENTS.includes(title)) return title;
+  const m = /^(extraverted|extroverted|introverted)\s+([a-z]+)$/i.exec(title);
+  if (!m) return null;
+  const letter = Object.keys(ELEMENT_WORDS).find((k) => ELEMENT_WORDS[k].includes(m[2].toLowerCase()));
+  return letter ? `${letter}${m[1].toLowerCase().startsWith("intro") ? "i" : "e"}` : null;
+}
+
+// Route for a linked title: type and element pages go to the app's own views, other
+// articles in the corpus to the reader. null means no local target (keep the wiki link).
+// `articles` is a Set of normalized corpus titles.
+export function wikiTarget(title, articles) {
+  const t = normalizeTitle(title);
+  const code = typeCodeOf(t);
+  if (code) return { name: "type", code };
+  const element = elementOf(t);
+  if (element) return { name: "glossary", focus: element };
+  if (articles && articles.has(t)) return { name: "wiki", title: t };
+  return null;
+}
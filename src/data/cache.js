@@ -0,0 +1,61 @@
+// IndexedDB copy of the last refreshed data bundle, so a reload renders at once while the
+// refresh provider is asked again in the background. Any failure (no IndexedDB, private mode,
+// quota) reads as a miss.
+const DB_NAME = "wikisocion";
+const DB_VERSION = 1;
+const STORE = "bundles";
+const LATEST_KEY = "latest";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
+}
+
+// Runs one request against the store and resolves with its result once the transaction commits.
+async function withStore(mode, run) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = run(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// { provider, savedAt, bundle } as written by writeCachedBundle, or null
+export async function readCachedBundle() {
+  try {
+    const entry = await withStore("readonly", (store) => store.get(LATEST_KEY));
+    return entry && entry.bundle && typeof entry.bundle === "object" ? entry : null;
+  } catch (err) {
+    console.warn(`[cache] Read failed: ${err.message}`);
+    return null;
+  }
+}
+
+// `bundle` is unchecked ({ types, glossary, relations, meta }); it is migrated and validated
+// again on read, so an entry written by an older release still loads. `provider` is the id of
+// the provider it came from; the entry is ignored once that provider leaves the chain.
+export async function writeCachedBundle(provider, bundle) {
+  try {
+    await withStore("readwrite", (store) => store.put({ provider, savedAt: new Date().toISOString(), bundle }, LATEST_KEY));
+    return true;
+  } catch (err) {
+    console.warn(`[cache] Write failed: ${err.message}`);
+    return false;
+  }
+}
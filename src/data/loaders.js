@@ -1,22 +1,15 @@
 // Runtime data loaders for the app. Provides live Wikisocion fetch with a local JSON fallback.
-const TYPE_CODES = [
-  "ILE",
-  "SEI",
-  "LII",
-  "ESE",
-  "SLE",
-  "IEI",
-  "LSI",
-  "EIE",
-  "SEE",
-  "ILI",
-  "ESI",
-  "LIE",
-  "LSE",
-  "EII",
-  "SLI",
-  "IEE",
-];
+import { TYPE_CODES, deriveType } from "../core/socionics";
+import { validateDataset, formatIssue } from "../core/validate";
+import { SCHEMAS, checkRecord, sanitizeDataset, fallbackType } from "../core/schema";
+import { SCHEMA_VERSION, migrateBundle } from "../core/migrations";
+import { mergeSubtypeSections } from "../core/subtypes";
+import { contentFromSections, mergeContent } from "../core/content";
+import { buildSearchEntries } from "../core/search";
+import { typeSources } from "../core/provenance";
+import { LEAD_NOISE, pickLead } from "../core/lead";
+import { changelogEntry } from "../core/changelog";
+import { readCachedBundle, writeCachedBundle } from "./cache";
 
 const TYPE_PAGES = {
   ILE: "ILE (ENTp)",
@@ -37,40 +30,12 @@ const TYPE_PAGES = {
   IEE: "IEE (ENFp)",
 };
 
-const TYPE_INFO = {
-  ILE: { fullName: "Intuitive Logical Extravert", alias: "ENTp", quadra: "Alpha", temperament: "EP", leading: "Ne", creative: "Ti" },
-  SEI: { fullName: "Sensing Ethical Introvert", alias: "ISFp", quadra: "Alpha", temperament: "IJ", leading: "Si", creative: "Fe" },
-  LII: { fullName: "Logical Intuitive Introvert", alias: "INTj", quadra: "Alpha", temperament: "IJ", leading: "Ti", creative: "Ne" },
-  ESE: { fullName: "Ethical Sensing Extravert", alias: "ESFj", quadra: "Alpha", temperament: "EJ", leading: "Fe", creative: "Si" },
-  SLE: { fullName: "Sensing Logical Extravert", alias: "ESTp", quadra: "Beta", temperament: "EP", leading: "Se", creative: "Ti" },
-  IEI: { fullName: "Intuitive Ethical Introvert", alias: "INFp", quadra: "Beta", temperament: "IP", leading: "Ni", creative: "Fe" },
-  LSI: { fullName: "Logical Sensing Introvert", alias: "ISTj", quadra: "Beta", temperament: "IJ", leading: "Ti", creative: "Se" },
-  EIE: { fullName: "Ethical Intuitive Extravert", alias: "ENFj", quadra: "Beta", temperament: "EJ", leading: "Fe", creative: "Ni" },
-  SEE: { fullName: "Sensing Ethical Extravert", alias: "ESFp", quadra: "Gamma", temperament: "EP", leading: "Se", creative: "Fi" },
-  ILI: { fullName: "Intuitive Logical Introvert", alias: "INTp", quadra: "Gamma", temperament: "IP", leading: "Ni", creative: "Te" },
-  ESI: { fullName: "Ethical Sensing Introvert", alias: "ISFj", quadra: "Gamma", temperament: "IJ", leading: "Fi", creative: "Se" },
-  LIE: { fullName: "Logical Intuitive Extravert", alias: "ENTj", quadra: "Gamma", temperament: "EJ", leading: "Te", creative: "Ni" },
-  LSE: { fullName: "Logical Sensing Extravert", alias: "ESTj", quadra: "Delta", temperament: "EJ", leading: "Te", creative: "Si" },
-  EII: { fullName: "Ethical Intuitive Introvert", alias: "INFj", quadra: "Delta", temperament: "IJ", leading: "Fi", creative: "Ne" },
-  SLI: { fullName: "Sensing Logical Introvert", alias: "ISTp", quadra: "Delta", temperament: "IP", leading: "Si", creative: "Te" },
-  IEE: { fullName: "Intuitive Ethical Extravert", alias: "ENFp", quadra: "Delta", temperament: "EP", leading: "Ne", creative: "Fi" },
-};
-
-const DUAL_PAIRS = [
-  ["ILE", "SEI"],
-  ["LII", "ESE"],
-  ["SLE", "IEI"],
-  ["LSI", "EIE"],
-  ["SEE", "ILI"],
-  ["ESI", "LIE"],
-  ["LSE", "EII"],
-  ["SLI", "IEE"],
-];
+const TYPE_INFO = Object.fromEntries(TYPE_CODES.map((code) => [code, deriveType(code)]));
 
 const DEFAULT_API = "https://wikisocion.net/w/api.php";
 const DEFAULT_PAGE_BASE = "https://wikisocion.net/en/index.php?title=";
 
-function getApiBase() {
+export function getApiBase() {
   const value = import.meta.env?.VITE_WIKISOCION_API;
   if (value && typeof value === "string" && value.trim()) {
     return value.trim();
@@ -78,7 +43,7 @@ function getApiBase() {
   return DEFAULT_API;
 }
 
-function getPageBase() {
+export function getPageBase() {
   const value = import.meta.env?.VITE_WIKISOCION_PAGE_BASE;
   if (value && typeof value === "string" && value.trim()) {
     return value.trim();
@@ -86,33 +51,62 @@ function getPageBase() {
   return DEFAULT_PAGE_BASE;
 }
 
-function extractLeadParagraph(html) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
-  const paragraphs = Array.from(doc.querySelectorAll("p"));
-  for (const p of paragraphs) {
-    const text = p.textContent ? p.textContent.replace(/\s+/g, " ").trim() : "";
-    if (text.length >= 60) {
-      return text;
+// Every paragraph, for pickLead; `lead` marks those before the first section heading.
+function leadCandidates(doc) {
+  const root = doc.querySelector(".mw-parser-output") || doc.body;
+  const out = [];
+  let lead = true;
+  for (const node of root.querySelectorAll("p, h2")) {
+    if (node.tagName === "H2") {
+      lead = false;
+      continue;
     }
+    const text = (node.textContent || "").replace(/\s+/g, " ").trim();
+    if (text) out.push({ text, lead });
   }
-  for (const p of paragraphs) {
-    const text = p.textContent ? p.textContent.replace(/\s+/g, " ").trim() : "";
-    if (text) {
-      return text;
+  return out;
+}
+
+// First `max` substantial paragraphs before the first heading.
+function extractLeadParagraphs(doc, max = 3) {
+  const out = [];
+  const root = doc.querySelector(".mw-parser-output") || doc.body;
+  for (const node of root.children) {
+    if (out.length >= max || node.matches("h2, div.mw-heading")) break;
+    const text = node.tagName === "P" ? (node.textContent || "").replace(/\s+/g, " ").trim() : "";
+    if (text.length > 60) out.push(text);
+  }
+  return out;
+}
+
+// Heading text plus the first paragraph under it, for every h2-h4 on the page.
+function extractSections(doc) {
+  const sections = [];
+  for (const h of doc.querySelectorAll("h2, h3, h4")) {
+    const headline = h.querySelector(".mw-headline") || h;
+    const heading = (headline.textContent || "").replace(/\[edit\]/g, "").replace(/\s+/g, " ").trim();
+    const anchor = headline.id || h.id || null;
+    // MediaWiki 1.43+ wraps headings in div.mw-heading
+    let node = (h.parentElement && h.parentElement.matches("div.mw-heading") ? h.parentElement : h).nextElementSibling;
+    let text = "";
+    while (node && !node.matches("h2, h3, h4, div.mw-heading")) {
+      if (node.tagName === "P") {
+        text = (node.textContent || "").replace(/\s+/g, " ").trim();
+        break;
+      }
+      node = node.nextElementSibling;
     }
+    if (heading) sections.push({ heading, text, anchor });
   }
-  return null;
+  return sections;
 }
 
-async function fetchType(code) {
+async function fetchType(code, api, pageBase) {
   const info = TYPE_INFO[code];
   if (!info) {
     throw new Error(`Unknown type code: ${code}`);
   }
   const pageTitle = TYPE_PAGES[code] || code;
-  const api = getApiBase();
-  const pageBase = getPageBase();
   const params = new URLSearchParams({
     action: "parse",
     page: pageTitle,
@@ -131,8 +125,16 @@ async function fetchType(code) {
   if (!parsed || !parsed.text) {
     throw new Error(`No parse data returned for ${pageTitle}`);
   }
-  const overview = extractLeadParagraph(parsed.text) || "Socionics type description.";
+  const doc = new DOMParser().parseFromString(parsed.text, "text/html");
+  for (const node of doc.querySelectorAll(LEAD_NOISE)) node.remove();
+  // null when the page has no usable lead; the bundled overview is used instead
+  const overview = pickLead(leadCandidates(doc), { names: [code, info.fullName, info.alias, pageTitle], max: 500 });
+  const sections = extractSections(doc);
+  const subtypes = mergeSubtypeSections(code, sections);
+  const lead = extractLeadParagraphs(doc, 2);
+  const content = contentFromSections(code, lead, sections);
   const href = `${pageBase}${encodeURIComponent(pageTitle)}`;
+  const sources = typeSources(code, { page: pageTitle, url: href, revId: parsed.revid }, { lead, sections });
   return {
     code,
     fullName: info.fullName,
@@ -141,8 +143,11 @@ async function fetchType(code) {
     temperament: info.temperament,
     leading: info.leading,
     creative: info.creative,
-    overview: overview.slice(0, 500),
+    overview,
+    subtypes,
+    content,
     href,
+    sources,
     revId: parsed.revid,
     title: parsed.displaytitle || pageTitle,
   };
@@ -162,58 +167,10 @@ function buildGlossary() {
   return Object.entries(glossaryDefinitions).map(([term, shortDef]) => ({
     term,
     shortDef,
+    sources: { shortDef: { page: "In-app definitions (src/data/loaders.js)" } },
   }));
 }
 
-function buildRelations() {
-  return DUAL_PAIRS.map(([a, b]) => ({
-    a,
-    b,
-    name: "Duality",
-    summary: "Complementary strengths; easy role division; watch for over-reliance on partner's valued elements.",
-  }));
-}
-
-function buildSearchEntries(types, glossary) {
-  const entries = [];
-  if (Array.isArray(types)) {
-    for (const t of types) {
-      const hay = [
-        t.code,
-        t.fullName,
-        t.alias,
-        t.quadra,
-        t.temperament,
-        t.leading,
-        t.creative,
-      ]
-        .join(" ")
-        .toLowerCase();
-      entries.push({
-        kind: "type",
-        id: t.code,
-        code: t.code,
-        fullName: t.fullName,
-        alias: t.alias,
-        haystack: hay,
-      });
-    }
-  }
-  if (Array.isArray(glossary)) {
-    for (const g of glossary) {
-      const hay = [g.term, g.shortDef].join(" ").toLowerCase();
-      entries.push({
-        kind: "gloss",
-        id: g.term,
-        term: g.term,
-        shortDef: g.shortDef,
-        haystack: hay,
-      });
-    }
-  }
-  return entries;
-}
-
 async function fetchJson(path) {
   const res = await fetch(path);
   if (!res.ok) {
@@ -235,42 +192,198 @@ async function fetchOptionalJson(path) {
   }
 }
 
-export async function fetchLiveWikisocionData() {
-  const types = await Promise.all(TYPE_CODES.map((code) => fetchType(code)));
+// Upgrades a loaded bundle to the current schema version, schema-checks it (repairing or
+// dropping bad records), then checks the result against the code-derived attributes.
+// Every issue is logged and kept in meta.
+function checkBundle(bundle, label) {
+  const migration = migrateBundle(bundle);
+  const sanitized = sanitizeDataset(migration.bundle);
+  const { data, repaired } = sanitized;
+  const schemaIssues = [...migration.issues, ...sanitized.issues];
+  if (migration.from < SCHEMA_VERSION) {
+    console.info(`[${label}] Upgraded data bundle from schema v${migration.from} to v${SCHEMA_VERSION}`);
+  }
+  if (!data.search) data.search = buildSearchEntries(data.types, data.glossary);
+  data.meta = { ...data.meta, mode: data.meta.mode || label };
+  const issues = [...schemaIssues, ...validateDataset(data)];
+  for (const i of issues) {
+    console.warn(`[${label}] ${formatIssue(i)}`);
+  }
+  data.meta.validation = {
+    ok: issues.length === 0,
+    // Degraded: records were replaced or dropped to keep the app renderable
+    degraded: schemaIssues.length > 0,
+    repaired,
+    migratedFrom: migration.from < SCHEMA_VERSION ? migration.from : null,
+    issues,
+  };
+  return data;
+}
+
+// Live bundle from a MediaWiki Action API: types parsed from the wiki over the bundled prose.
+// Each page stands alone: a type whose page fails keeps its bundled record (or the
+// code-derived fallback) and meta.typeStatus records why. Rejects only when every page fails.
+export async function fetchLiveBundle({ api = getApiBase(), pageBase = getPageBase() } = {}) {
+  const results = await Promise.allSettled(TYPE_CODES.map((code) => fetchType(code, api, pageBase)));
+  const errorOf = (reason) => (reason && reason.message ? reason.message : String(reason));
+  if (results.every((r) => r.status === "rejected")) {
+    throw new Error(`Every type page failed (${errorOf(results[0].reason)})`);
+  }
+  // Wiki sections override the curated prose shipped in the bundled types.json
+  const bundled = await fetchOptionalJson("data/types.json");
+  const bundledByCode = Object.fromEntries((Array.isArray(bundled) ? bundled : []).filter(Boolean).map((t) => [t.code, t]));
+  const typeStatus = {};
+  const types = results.map((result, i) => {
+    const code = TYPE_CODES[i];
+    const base = bundledByCode[code];
+    if (result.status === "rejected") {
+      const error = errorOf(result.reason);
+      console.warn(`[live] ${code}: ${error}; keeping ${base ? "bundled" : "derived"} data`);
+      typeStatus[code] = { status: base ? "stale" : "missing", error };
+      return base || fallbackType(code);
+    }
+    const t = result.value;
+    typeStatus[code] = { status: "live" };
+    if (!base) return { ...t, overview: t.overview || "Socionics type description." };
+    // Bundled content fields the page did not override keep their bundled sources
+    const baseSources = Object.entries(base.sources || {}).filter(([field]) => field.startsWith("content."));
+    const sources = { ...Object.fromEntries(baseSources), ...t.sources };
+    let overview = t.overview;
+    if (!overview) {
+      overview = base.overview || "Socionics type description.";
+      if (base.sources && base.sources.overview) sources.overview = base.sources.overview;
+    }
+    return {
+      ...t,
+      overview,
+      content: mergeContent(base.content, t.content),
+      sources,
+    };
+  });
   const glossary = buildGlossary();
-  const relations = buildRelations();
-  const search = buildSearchEntries(types, glossary);
+  // Relation texts change rarely; use the bundle the scraper produced at build time
+  const relations = await fetchJson("data/relations.json");
   const meta = {
+    schemaVersion: SCHEMA_VERSION,
     generatedAt: new Date().toISOString(),
     mode: "live",
+    typeStatus,
     sources: {
-      types: `${getApiBase()} (Action API: parse)`,
-      relations: "DUAL_PAIRS hardcoded on client",
+      types: `${api} (Action API: parse)`,
+      relations: "Bundled data/relations.json (scraped at build time)",
       glossary: "In-app IE definitions",
     },
   };
-  return { types, glossary, relations, meta, search };
+  return { types, glossary, relations, meta };
 }
 
-export async function fetchLocalData() {
+// Bundle written by the scraper to public/data
+export async function fetchBundledBundle() {
   const [types, glossary, relations] = await Promise.all([
     fetchJson("data/types.json"),
     fetchJson("data/glossary.json"),
     fetchJson("data/relations.json"),
   ]);
-  const metaJson = await fetchOptionalJson("data/meta.json");
+  const meta = await fetchOptionalJson("data/meta.json");
   const searchJson = await fetchOptionalJson("data/search.json");
-  const search = Array.isArray(searchJson?.entries)
-    ? searchJson.entries
-    : buildSearchEntries(types, glossary);
-  const meta = metaJson
-    ? { ...metaJson, mode: metaJson.mode || "local" }
-    : { mode: "local" };
-  return {
-    types,
-    glossary,
-    relations,
-    meta,
-    search,
-  };
+  // A search.json without an entries list is rebuilt from the types and glossary
+  const search = searchJson && searchJson.entries;
+  return { types, glossary, relations, meta, search };
+}
+
+// A whole bundle from one JSON document at `url`: { types, glossary, relations, meta?, search? },
+// where search is a list of entries or { entries } as in search.json.
+export async function fetchJsonBundle(url) {
+  const doc = await fetchJson(url);
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error(`${url} is not a data bundle object`);
+  const { types, glossary, relations, meta, search } = doc;
+  return { types, glossary, relations, meta, search: search && !Array.isArray(search) ? search.entries : search };
+}
+
+// Data to render at once: the first provider of `chain` (see providers.js), or the IndexedDB
+// copy of a later provider's last refresh when that is newer or the first provider fails.
+export async function fetchInitialData(chain) {
+  const [first] = chain;
+  const cached = await readCachedBundle();
+  let fromCache = null;
+  if (cached && chain.slice(1).some((p) => p.id === cached.provider)) {
+    fromCache = checkBundle(cached.bundle, "cache");
+    if (fromCache.meta.validation.degraded) fromCache = null;
+  }
+  let data = null;
+  try {
+    data = checkBundle(await first.load(), first.id);
+  } catch (err) {
+    if (!fromCache) throw err;
+    console.warn(`[${first.id}] ${err.message}; using cached data`);
+  }
+  if (!fromCache) return data;
+  const cachedAt = fromCache.meta.generatedAt || "";
+  const dataAt = (data && data.meta.generatedAt) || "";
+  return data && dataAt > cachedAt ? data : fromCache;
+}
+
+// Background refresh: the providers after the first, in order, until one loads. Its bundle is
+// stored for the next visit. `update` summarizes what differs from `current` (the data on
+// screen): the changelog summary plus page revisions, or null when nothing changed.
+// Resolves to null when the chain has nothing to refresh from.
+export async function refreshData(chain, current) {
+  const errors = [];
+  for (const provider of chain.slice(1)) {
+    try {
+      const bundle = await provider.load();
+      const data = checkBundle(bundle, provider.id);
+      // A damaged bundle is shown for this visit only
+      if (!data.meta.validation.degraded) await writeCachedBundle(provider.id, bundle);
+      const entry = current ? changelogEntry(current, data) : null;
+      const update = entry ? { ...entry.summary, revisions: Object.keys(entry.revisions).length, source: provider.label } : null;
+      return { data, update };
+    } catch (err) {
+      console.warn(`[${provider.id}] Refresh failed`, err);
+      errors.push(`${provider.label}: ${err.message}`);
+    }
+  }
+  if (errors.length) throw new Error(errors.join("; "));
+  return null;
+}
+
+// Scrape history written by scripts/scrape.mjs, newest first. Malformed entries are skipped;
+// a missing file means no refresh has been recorded yet.
+export async function fetchChangelog() {
+  const log = await fetchOptionalJson("data/changelog.json");
+  const entries = log && Array.isArray(log.entries) ? log.entries : [];
+  return entries.filter((entry, i) => {
+    const issues = checkRecord("changelog.json", `#${i}`, entry, SCHEMAS.changelog);
+    for (const issue of issues) console.warn(`[changelog] ${formatIssue(issue)}`);
+    return issues.length === 0;
+  });
+}
+
+let corpusIndex = null;
+
+// Article corpus written by `scripts/data.mjs crawl`, or null when none has been built.
+// Fetched once; entries that fail the schema are left out.
+export function fetchCorpusIndex() {
+  if (!corpusIndex) {
+    corpusIndex = fetchOptionalJson("data/corpus/index.json").then(
+      (index) => {
+        if (!index || !Array.isArray(index.articles)) return null;
+        const articles = index.articles.filter((a, i) => {
+          const issues = checkRecord("corpus/index.json", (a && a.title) || `#${i}`, a, SCHEMAS.article);
+          for (const issue of issues) console.warn(`[corpus] ${formatIssue(issue)}`);
+          return issues.length === 0;
+        });
+        return { ...index, articles };
+      },
+      (err) => {
+        corpusIndex = null;
+        throw err;
+      }
+    );
+  }
+  return corpusIndex;
+}
+
+export async function fetchArticle(slug) {
+  return fetchJson(`data/corpus/${encodeURIComponent(slug)}.json`);
 }
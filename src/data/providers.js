@@ -0,0 +1,159 @@
+// Data providers: where the app's bundle comes from. A provider is
+//   { id, label, load(), describe(), health() }
+// load() resolves to a raw bundle { types, glossary, relations, meta?, search? }, which
+// loaders.js migrates and validates; describe() is one line naming the backend; health()
+// resolves to { ok, detail } from a cheap reachability check and never rejects.
+//
+// The chain is ordered: the first provider renders at once, the later ones refresh it in the
+// background (first to load wins). It comes from the settings page (localStorage), else from
+// VITE_DATA_PROVIDERS ("bundled,mediawiki"), else DEFAULT_CHAIN. Forks add a backend with
+// registerProvider instead of patching useData.
+import { fetchBundledBundle, fetchLiveBundle, fetchJsonBundle, getApiBase, getPageBase } from "./loaders";
+
+export const DEFAULT_CHAIN = ["bundled", "mediawiki"];
+const SETTINGS_KEY = "wikisocion.providers";
+
+const registry = new Map();
+
+// `create(config)` returns { load, describe, health }; `options` lists the config keys the
+// settings page offers, as [{ key, label, placeholder? }].
+export function registerProvider(id, { label, create, options = [] }) {
+  registry.set(id, { id, label, create, options });
+}
+
+export function listProviders() {
+  return [...registry.values()].map(({ id, label, options }) => ({ id, label, options }));
+}
+
+export function createProvider(id, config = {}) {
+  const entry = registry.get(id);
+  if (!entry) throw new Error(`Unknown data provider "${id}"`);
+  return { id, label: entry.label, ...entry.create(config) };
+}
+
+async function check(url, read) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return { ok: false, detail: `HTTP ${res.status}` };
+    return { ok: true, detail: await read(res) };
+  } catch (err) {
+    return { ok: false, detail: err.message };
+  }
+}
+
+registerProvider("bundled", {
+  label: "Bundled data",
+  create: () => ({
+    load: fetchBundledBundle,
+    describe: () => "data/*.json shipped with the app (scripts/data.mjs scrape)",
+    health: () =>
+      check("data/meta.json", async (res) => {
+        const meta = await res.json();
+        return meta && meta.generatedAt ? `generated ${new Date(meta.generatedAt).toLocaleString()}` : "no generation date";
+      }),
+  }),
+});
+
+registerProvider("mediawiki", {
+  label: "MediaWiki Action API",
+  options: [
+    { key: "api", label: "API endpoint", placeholder: getApiBase() },
+    { key: "pageBase", label: "Page URL prefix", placeholder: getPageBase() },
+  ],
+  create: ({ api = getApiBase(), pageBase = getPageBase() }) => ({
+    load: () => fetchLiveBundle({ api, pageBase }),
+    describe: () => `${api} (16 type pages, parsed in the browser)`,
+    health: () =>
+      check(`${api}?${new URLSearchParams({ action: "query", meta: "siteinfo", format: "json", origin: "*" })}`, async (res) => {
+        const json = await res.json();
+        const name = json && json.query && json.query.general && json.query.general.sitename;
+        return name ? `reachable (${name})` : "reachable";
+      }),
+  }),
+});
+
+registerProvider("json", {
+  label: "JSON endpoint",
+  options: [{ key: "url", label: "Bundle URL", placeholder: "https://example.org/socionics.json" }],
+  create: ({ url }) => ({
+    load: () => (url ? fetchJsonBundle(url) : Promise.reject(new Error("No bundle URL configured"))),
+    describe: () => (url ? `${url} (one JSON document: types, glossary, relations)` : "not configured"),
+    health: () =>
+      url
+        ? check(url, async (res) => {
+            const doc = await res.json();
+            return doc && Array.isArray(doc.types) ? `${doc.types.length} types` : "responds, but has no types list";
+          })
+        : Promise.resolve({ ok: false, detail: "No bundle URL configured" }),
+  }),
+});
+
+function envValue(name) {
+  const value = import.meta.env?.[name];
+  return value && typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+// Per-provider options from the build environment
+function envConfig() {
+  return { json: { url: envValue("VITE_DATA_JSON_URL") } };
+}
+
+// Saved options win field by field; an empty saved field keeps the build's value
+function mergeConfig(base, saved) {
+  const merged = { ...base };
+  for (const [id, options] of Object.entries(saved || {})) {
+    const set = Object.fromEntries(Object.entries(options || {}).filter(([, v]) => v));
+    merged[id] = { ...base[id], ...set };
+  }
+  return merged;
+}
+
+// { chain, config, origin }: `config` holds per-provider options by id; `origin` says where the
+// chain came from ("settings", "env" or "default").
+export function providerSettings() {
+  const env = envValue("VITE_DATA_PROVIDERS");
+  const config = envConfig();
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || "null");
+    if (saved && Array.isArray(saved.chain) && saved.chain.length) {
+      return { chain: saved.chain, config: mergeConfig(config, saved.config), origin: "settings" };
+    }
+  } catch {
+    // Unreadable settings fall back to the build configuration
+  }
+  if (env) return { chain: env.split(",").map((id) => id.trim()).filter(Boolean), config, origin: "env" };
+  return { chain: DEFAULT_CHAIN, config, origin: "default" };
+}
+
+// Only options that differ from the build's are stored, so a later build value still applies
+// to fields the user left alone.
+export function saveProviderSettings({ chain, config }) {
+  const base = envConfig();
+  const own = Object.fromEntries(
+    Object.entries(config || {}).map(([id, options]) => [
+      id,
+      Object.fromEntries(Object.entries(options || {}).filter(([key, v]) => v && v !== (base[id] || {})[key])),
+    ])
+  );
+  window.localStorage.setItem(SETTINGS_KEY, JSON.stringify({ chain, config: own }));
+}
+
+export function clearProviderSettings() {
+  window.localStorage.removeItem(SETTINGS_KEY);
+}
+
+// Provider instances for `settings`; unknown ids are skipped with a warning. An empty result
+// falls back to DEFAULT_CHAIN so the app always has data to show.
+export function providerChain(settings = providerSettings()) {
+  const chain = [];
+  for (const id of settings.chain) {
+    if (!registry.has(id)) {
+      console.warn(`[providers] Unknown data provider "${id}" skipped`);
+      continue;
+    }
+    // Empty fields on the settings page mean "use the default"
+    const config = Object.fromEntries(Object.entries((settings.config || {})[id] || {}).filter(([, v]) => v));
+    chain.push(createProvider(id, config));
+  }
+  return chain.length ? chain : DEFAULT_CHAIN.map((id) => createProvider(id));
+}
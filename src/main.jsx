@@ -7,4 +7,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Offline support (src/sw.js); the worker only exists in production builds
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch((err) => console.warn(`[sw] Registration failed: ${err.message}`))
+  })
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Service worker: precaches the app shell, fonts, scripts and data/*.json so the reference
+// works offline after the first visit. The build (scripts/service-worker.mjs) replaces
+// __SW_VERSION__ with meta.generatedAt plus a hash of the emitted files, and __SW_PRECACHE__
+// with their paths relative to the scope. A new build installs under a new cache name, takes
+// over at once and deletes the caches of older versions.
+//
+// Same-origin GETs are answered cache-first; data files outside the precache (corpus
+// articles) are cached on first read. Cross-origin requests (live MediaWiki) are not touched.
+const VERSION = __SW_VERSION__;
+const PRECACHE = __SW_PRECACHE__;
+const CACHE_PREFIX = "wikisocion-";
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+const SHELL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE.map((file) => new URL(file, self.registration.scope).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function fromCache(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok && new URL(request.url).pathname.includes("/data/")) await cache.put(request, res.clone());
+  return res;
+}
+
+// Routes live in the hash, so opening the app is always the shell; the network copy is used
+// only when the shell is somehow missing from the cache
+async function openShell(request) {
+  const cache = await caches.open(CACHE);
+  return (await cache.match(SHELL)) || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  const page = url.origin + url.pathname;
+  const isShell = request.mode === "navigate" && (page === self.registration.scope || page === SHELL);
+  event.respondWith(isShell ? openShell(request) : fromCache(request));
+});
@@ -1,9 +1,13 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { wikiStubPlugin } from './scripts/wiki-stub.mjs'
+import { serviceWorkerPlugin } from './scripts/service-worker.mjs'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // wikiStubPlugin serves a fixture-backed api.php at /wiki-stub/api.php during `vite` only;
+  // serviceWorkerPlugin emits sw.js with the precache list on `vite build`
+  plugins: [react(), wikiStubPlugin(), serviceWorkerPlugin()],
   // Use relative base so assets load correctly on GitHub Pages subpaths
   base: './',
 })